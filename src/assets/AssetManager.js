@@ -537,6 +537,20 @@ export class AssetManager {
         return loadPromise;
     }
     
+    /**
+     * Load the weapon definitions file
+     * @param {string} path - Definitions file path
+     * @returns {Promise<Object>} - Definitions keyed by weapon id (empty if the file couldn't be loaded)
+     */
+    async loadWeaponDefinitions(path = 'assets/data/weapons.json') {
+        try {
+            return await this.loadJSON('weapons', path);
+        } catch (error) {
+            console.warn('Weapon definitions unavailable, weapons will only use map properties');
+            return {};
+        }
+    }
+    
     /**
      * Unload JSON data
      * @param {string} id - JSON identifier
@@ -589,6 +603,16 @@ export class AssetManager {
         return this.jsonData.get(id) || null;
     }
     
+    /**
+     * Get a weapon definition by ID
+     * @param {string} id - Weapon identifier
+     * @returns {Object|null} - Definition or null if not found
+     */
+    getWeaponDefinition(id) {
+        const definitions = this.getJSON('weapons');
+        return definitions && definitions[id] ? definitions[id] : null;
+    }
+    
     /**
      * Get a loaded animation by ID
      * @param {string} id - Animation identifier
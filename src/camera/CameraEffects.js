@@ -86,10 +86,18 @@ export class CameraEffects {
     }
     
     updateFOV(deltaTime) {
-        // Calculate target FOV based on sprint state
-        const targetFOV = this.player.isSprinting ? 
+        const weaponManager = this.player.weaponManager;
+        const weapon = weaponManager ? weaponManager.currentWeapon : null;
+        
+        // Calculate target FOV based on sprint state - aiming takes priority
+        let targetFOV = this.player.isSprinting && !(weapon && weapon.isAiming) ? 
             this.baseFOV * this.sprintFOVMultiplier : this.baseFOV;
         
+        // Zoom in by the weapon's adsFOVMultiplier as the sights come up
+        if (weapon) {
+            targetFOV *= MathUtils.lerp(1, weapon.adsFOVMultiplier, weapon.adsAmount);
+        }
+        
         // Smoothly adjust FOV
         this.camera.fov = MathUtils.lerp(
             this.camera.fov,
@@ -18,6 +18,8 @@ export class PlayerCamera {
         
         // Camera height above player position
         this.eyeHeight = 1.7; // meters
+        this.crouchEyeHeight = 1.0; // meters
+        this.eyeHeightSpeed = 6.0; // Meters per second when changing stance
         
         // Camera offset from player center
         this.offset = new Vector3(0, this.eyeHeight, 0);
@@ -25,6 +27,9 @@ export class PlayerCamera {
         // Create camera effects
         this.effects = new CameraEffects(this);
         
+        // Camera must be part of the scene graph for the weapon viewmodel parented to it to render
+        engine.renderer.scene.add(this.camera);
+        
         // Handle window resize
         window.addEventListener('resize', this.onResize.bind(this));
     }
@@ -36,9 +41,20 @@ export class PlayerCamera {
     }
     
     update(deltaTime) {
+        // Ease toward the eye height for the current stance
+        const targetEyeHeight = this.player.movement && this.player.movement.isCrouching ?
+            this.crouchEyeHeight : this.eyeHeight;
+        const maxChange = this.eyeHeightSpeed * deltaTime;
+        this.offset.y += Math.max(-maxChange, Math.min(maxChange, targetEyeHeight - this.offset.y));
+        
         // Update position to follow player
         this.camera.position.copy(this.player.position).add(this.offset);
         
+        // Lag behind step-ups so climbing stairs is smooth
+        if (this.player.movement) {
+            this.camera.position.y -= this.player.movement.stepOffset;
+        }
+        
         // Apply player rotation to camera
         this.camera.rotation.copy(this.player.viewRotation);
         
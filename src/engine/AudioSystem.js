@@ -0,0 +1,494 @@
+// src/engine/AudioSystem.js
+import { AudioListener, PositionalAudio, Audio, Group, Vector3 } from 'three';
+
+// Fields a sound declaration may set, and their defaults
+const SOUND_DEFAULTS = {
+    volume: 1.0,
+    priority: 1, // Higher priorities steal voices from lower ones
+    refDistance: 2, // Meters before the sound starts to fade
+    maxDistance: 60, // Not played at all beyond this
+    rolloff: 1.5,
+    maxInstances: 4, // Copies of this sound playing at once
+    pitchVariation: 0.05 // Random playback rate spread, so repeats don't sound identical
+};
+
+const BUSES = ['master', 'music', 'sfx'];
+
+/**
+ * Positional sound playback with a fixed pool of voices.
+ *
+ * Sounds are declared in map data:
+ *   "sounds": [
+ *       { "id": "zombie_groan", "path": "assets/audio/zombie_groan.ogg", "priority": 0, "maxInstances": 6 }
+ *   ],
+ *   "music": "ambient"
+ *
+ * or in a weapon definition's "sounds", by id or inline:
+ *   "sounds": { "fire": { "path": "assets/audio/m249_fire.ogg", "priority": 3 }, "empty": "dry_fire" }
+ *
+ * Engine sounds played by id: footstep, impact, impact_flesh, zombie_groan, zombie_attack, zombie_death.
+ * Undeclared or missing sounds are skipped silently.
+ *
+ * When every voice is busy a new sound replaces the least important one playing - lower priority
+ * first, then the one fading furthest into its range - or is dropped if everything playing matters more.
+ */
+export class AudioSystem {
+    constructor(engine) {
+        this.engine = engine;
+        
+        this.listener = null;
+        this.maxVoices = engine.config.maxVoices || 32;
+        this.voices = [];
+        this.nextHandle = 1;
+        
+        // Declarations by sound id
+        this.sounds = new Map();
+        
+        // Ids declared by the current map, dropped when it unloads
+        this.mapSounds = new Set();
+        
+        // Volume buses - sfx and music both pass through master
+        this.buses = {};
+        this.volumes = { master: 1.0, music: 0.5, sfx: 1.0 };
+        this.volumeStorageKey = '100zombies.audioVolumes';
+        
+        this.music = null;
+        this.musicId = null;
+        
+        // Holds the voices so their positions are updated with the scene
+        this.root = new Group();
+        this.root.name = 'audio';
+        this.root.userData.ignoreRaycast = true;
+        
+        this.tempVector = new Vector3();
+        
+        // Resumes the context on the first interaction
+        this.boundResume = this.resume.bind(this);
+        
+        this.loadVolumes();
+    }
+    
+    /**
+     * Attach the listener to the player camera and build the voice pool
+     * @param {PlayerCamera} playerCamera - Camera the player hears from
+     */
+    init(playerCamera) {
+        if (typeof window === 'undefined' || !(window.AudioContext || window.webkitAudioContext)) {
+            console.warn('Web Audio is not supported, sound is disabled');
+            return;
+        }
+        
+        this.listener = new AudioListener();
+        playerCamera.camera.add(this.listener);
+        
+        const context = this.listener.context;
+        for (const bus of ['music', 'sfx']) {
+            this.buses[bus] = context.createGain();
+            this.buses[bus].connect(this.listener.getInput());
+        }
+        
+        for (let i = 0; i < this.maxVoices; i++) {
+            const sound = new PositionalAudio(this.listener);
+            this.routeToBus(sound, 'sfx');
+            this.root.add(sound);
+            
+            this.voices.push({
+                sound,
+                handle: 0,
+                soundId: null,
+                priority: 0,
+                maxDistance: 0,
+                follow: null
+            });
+        }
+        
+        this.music = new Audio(this.listener);
+        this.routeToBus(this.music, 'music');
+        
+        this.engine.renderer.scene.add(this.root);
+        
+        this.applyVolumes();
+        
+        // Browsers keep the context suspended until the player interacts with the page
+        window.addEventListener('pointerdown', this.boundResume);
+        window.addEventListener('keydown', this.boundResume);
+        
+        console.log(`Audio initialized with ${this.maxVoices} voices`);
+    }
+    
+    /**
+     * Start the audio context once the page has been interacted with, then stop listening
+     */
+    resume() {
+        const context = this.listener.context;
+        
+        if (context.state !== 'suspended') {
+            this.removeResumeListeners();
+            return;
+        }
+        
+        // Keep listening if the browser refuses, so the next interaction tries again
+        context.resume()
+            .then(() => this.removeResumeListeners())
+            .catch(error => {
+                console.warn('Failed to resume audio:', error);
+            });
+    }
+    
+    removeResumeListeners() {
+        window.removeEventListener('pointerdown', this.boundResume);
+        window.removeEventListener('keydown', this.boundResume);
+    }
+    
+    /**
+     * Send a sound's output through a volume bus instead of straight to the listener
+     * @param {Audio} sound - Three.js audio object
+     * @param {string} bus - 'music' or 'sfx'
+     */
+    routeToBus(sound, bus) {
+        sound.gain.disconnect();
+        sound.gain.connect(this.buses[bus]);
+    }
+    
+    /**
+     * Declare a sound
+     * @param {string} id - Sound id
+     * @param {Object} declaration - { path, volume, priority, refDistance, maxDistance, rolloff, maxInstances, pitchVariation }
+     * @returns {boolean} - True if this declaration was added
+     */
+    registerSound(id, declaration) {
+        if (!id || !declaration || !declaration.path) {
+            console.warn(`Sound '${id}' has no path, skipping`);
+            return false;
+        }
+        
+        // First declaration wins, so weapons sharing a sound can all declare it
+        if (this.sounds.has(id)) return false;
+        
+        this.sounds.set(id, { ...SOUND_DEFAULTS, ...declaration, id });
+        return true;
+    }
+    
+    /**
+     * Declare a map's "sounds" section - these are dropped again by clear()
+     * @param {Array} declarations - Entries of { id, path, ... }
+     */
+    registerSounds(declarations) {
+        if (!Array.isArray(declarations)) return;
+        
+        for (const declaration of declarations) {
+            if (this.registerSound(declaration.id, declaration)) {
+                this.mapSounds.add(declaration.id);
+            }
+        }
+    }
+    
+    /**
+     * Turn a sound reference from data into an id, declaring it if it's inline
+     * @param {string|Object} sound - Sound id, or a declaration with a path
+     * @param {string} fallbackId - Id for inline declarations without one
+     * @returns {string|null} - Sound id
+     */
+    resolveSound(sound, fallbackId) {
+        if (typeof sound === 'string') return sound;
+        if (!sound || typeof sound !== 'object') return null;
+        
+        const id = sound.id || fallbackId;
+        this.registerSound(id, sound);
+        this.loadSound(id);
+        
+        return id;
+    }
+    
+    /**
+     * Load a declared sound's buffer
+     * @param {string} id - Sound id
+     * @returns {Promise<boolean>} - Whether it loaded; a missing file never rejects
+     */
+    async loadSound(id) {
+        const sound = this.sounds.get(id);
+        if (!sound) return false;
+        
+        try {
+            await this.engine.assetManager.loadAudio(id, sound.path);
+            return true;
+        } catch (error) {
+            console.warn(`Sound '${id}' will be silent`);
+            return false;
+        }
+    }
+    
+    /**
+     * Load every declared sound
+     * @returns {Promise<void>}
+     */
+    async loadSounds() {
+        await Promise.all([...this.sounds.keys()].map(id => this.loadSound(id)));
+    }
+    
+    /**
+     * Play a declared sound in the world
+     * @param {string} id - Sound id
+     * @param {Vector3} position - Where the sound comes from
+     * @param {Object} options - { volume, priority, loop, follow } - follow is a position the sound keeps tracking
+     * @returns {number|null} - Handle for stop(), or null if nothing played
+     */
+    play(id, position, options = {}) {
+        if (!this.listener || !position) return null;
+        
+        const sound = this.sounds.get(id);
+        if (!sound) return null;
+        
+        const buffer = this.engine.assetManager.getAudio(id);
+        if (!buffer) return null;
+        
+        const listenerPosition = this.getListenerPosition();
+        const distance = position.distanceTo(listenerPosition);
+        if (distance > sound.maxDistance) return null;
+        
+        const priority = options.priority !== undefined ? options.priority : sound.priority;
+        const voice = this.acquireVoice(id, sound, priority, distance, listenerPosition);
+        if (!voice) return null;
+        
+        const audio = voice.sound;
+        if (audio.isPlaying) {
+            audio.stop();
+        }
+        
+        audio.setBuffer(buffer);
+        audio.setRefDistance(sound.refDistance);
+        audio.setMaxDistance(sound.maxDistance);
+        audio.setRolloffFactor(sound.rolloff);
+        audio.setVolume(sound.volume * (options.volume !== undefined ? options.volume : 1));
+        audio.setLoop(!!options.loop);
+        audio.setPlaybackRate(1 + (Math.random() * 2 - 1) * sound.pitchVariation);
+        audio.position.copy(position);
+        audio.updateMatrixWorld();
+        audio.play();
+        
+        voice.handle = this.nextHandle++;
+        voice.soundId = id;
+        voice.priority = priority;
+        voice.maxDistance = sound.maxDistance;
+        voice.follow = options.follow || null;
+        
+        return voice.handle;
+    }
+    
+    /**
+     * Pick a voice for a new sound, stealing one if the pool or the sound's instance limit is full
+     * @param {string} id - Sound id
+     * @param {Object} sound - Sound declaration
+     * @param {number} priority - Priority of the new sound
+     * @param {number} distance - Distance from the listener
+     * @param {Vector3} listenerPosition - Listener world position
+     * @returns {Object|null} - Voice to play on, or null to drop the sound
+     */
+    acquireVoice(id, sound, priority, distance, listenerPosition) {
+        const importance = this.getImportance(priority, distance, sound.maxDistance);
+        
+        let free = null;
+        let instances = 0;
+        let weakest = null;
+        let weakestInstance = null;
+        
+        for (const voice of this.voices) {
+            if (!voice.sound.isPlaying) {
+                if (!free) free = voice;
+                continue;
+            }
+            
+            const voiceImportance = this.getVoiceImportance(voice, listenerPosition);
+            
+            if (!weakest || voiceImportance < weakest.importance) {
+                weakest = { voice, importance: voiceImportance };
+            }
+            
+            if (voice.soundId === id) {
+                instances++;
+                if (!weakestInstance || voiceImportance < weakestInstance.importance) {
+                    weakestInstance = { voice, importance: voiceImportance };
+                }
+            }
+        }
+        
+        // Too many copies of this sound - only replace a less important copy
+        if (instances >= sound.maxInstances) {
+            return weakestInstance && weakestInstance.importance < importance ? weakestInstance.voice : null;
+        }
+        
+        if (free) return free;
+        
+        return weakest && weakest.importance < importance ? weakest.voice : null;
+    }
+    
+    /**
+     * Rank a sound for voice stealing - priority first, closeness within its range breaks ties
+     * @param {number} priority - Sound priority
+     * @param {number} distance - Distance from the listener
+     * @param {number} maxDistance - Sound's audible range
+     * @returns {number} - Higher is more important
+     */
+    getImportance(priority, distance, maxDistance) {
+        return priority + (1 - Math.min(distance / maxDistance, 1)) * 0.99;
+    }
+    
+    getVoiceImportance(voice, listenerPosition) {
+        const distance = voice.sound.position.distanceTo(listenerPosition);
+        return this.getImportance(voice.priority, distance, voice.maxDistance);
+    }
+    
+    getListenerPosition() {
+        return this.listener.getWorldPosition(this.tempVector);
+    }
+    
+    /**
+     * Stop a sound started with play()
+     * @param {number} handle - Handle returned by play()
+     */
+    stop(handle) {
+        if (!handle) return;
+        
+        const voice = this.voices.find(voice => voice.handle === handle);
+        if (voice && voice.sound.isPlaying) {
+            voice.sound.stop();
+            voice.follow = null;
+        }
+    }
+    
+    stopAll() {
+        for (const voice of this.voices) {
+            if (voice.sound.isPlaying) {
+                voice.sound.stop();
+            }
+            voice.follow = null;
+        }
+    }
+    
+    /**
+     * Loop a declared sound as music, replacing any that's playing
+     * @param {string} id - Sound id
+     */
+    playMusic(id) {
+        if (!this.music || id === this.musicId) return;
+        
+        this.stopMusic();
+        
+        const buffer = this.engine.assetManager.getAudio(id);
+        const sound = this.sounds.get(id);
+        if (!buffer || !sound) {
+            console.warn(`Music '${id}' is not loaded`);
+            return;
+        }
+        
+        this.music.setBuffer(buffer);
+        this.music.setLoop(true);
+        this.music.setVolume(sound.volume);
+        this.music.play();
+        this.musicId = id;
+    }
+    
+    stopMusic() {
+        if (this.music && this.music.isPlaying) {
+            this.music.stop();
+        }
+        this.musicId = null;
+    }
+    
+    /**
+     * Set a bus volume
+     * @param {string} bus - 'master', 'music' or 'sfx'
+     * @param {number} volume - 0 to 1
+     */
+    setVolume(bus, volume) {
+        if (!BUSES.includes(bus)) {
+            console.warn(`Unknown audio bus '${bus}'`);
+            return;
+        }
+        
+        this.volumes[bus] = Math.max(0, Math.min(volume, 1));
+        this.applyVolumes();
+        this.saveVolumes();
+    }
+    
+    getVolume(bus) {
+        return this.volumes[bus];
+    }
+    
+    applyVolumes() {
+        if (!this.listener) return;
+        
+        this.listener.setMasterVolume(this.volumes.master);
+        
+        const time = this.listener.context.currentTime;
+        this.buses.music.gain.setTargetAtTime(this.volumes.music, time, 0.01);
+        this.buses.sfx.gain.setTargetAtTime(this.volumes.sfx, time, 0.01);
+    }
+    
+    /**
+     * Save bus volumes to localStorage
+     */
+    saveVolumes() {
+        try {
+            localStorage.setItem(this.volumeStorageKey, JSON.stringify(this.volumes));
+        } catch (error) {
+            console.warn('Could not save audio volumes:', error);
+        }
+    }
+    
+    /**
+     * Load bus volumes from localStorage, keeping defaults for buses that weren't saved
+     */
+    loadVolumes() {
+        let data = null;
+        
+        try {
+            data = JSON.parse(localStorage.getItem(this.volumeStorageKey));
+        } catch (error) {
+            console.warn('Could not load audio volumes:', error);
+        }
+        
+        if (!data || typeof data !== 'object') return;
+        
+        for (const bus of BUSES) {
+            if (typeof data[bus] === 'number') {
+                this.volumes[bus] = Math.max(0, Math.min(data[bus], 1));
+            }
+        }
+    }
+    
+    update(deltaTime) {
+        // Keep sounds attached to moving entities
+        for (const voice of this.voices) {
+            if (!voice.follow) continue;
+            
+            if (voice.sound.isPlaying) {
+                voice.sound.position.copy(voice.follow);
+            } else {
+                voice.follow = null;
+            }
+        }
+    }
+    
+    /**
+     * Stop everything and forget the map's sounds when it is unloaded, so the next map can declare its own
+     */
+    clear() {
+        this.stopAll();
+        this.stopMusic();
+        
+        for (const id of this.mapSounds) {
+            this.sounds.delete(id);
+            this.engine.assetManager.unloadAudio(id);
+        }
+        this.mapSounds.clear();
+    }
+    
+    cleanup() {
+        this.clear();
+        
+        if (this.listener) {
+            this.removeResumeListeners();
+        }
+    }
+}
\ No newline at end of file
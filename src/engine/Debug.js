@@ -55,6 +55,12 @@ export class Debug {
             .addEventListener('click', () => {
                 this.togglePhysicsDebug();
             });
+        
+        // Nav grid toggle
+        document.getElementById('debug-toggle-navgrid')
+            .addEventListener('click', () => {
+                this.toggleNavGrid();
+            });
     }
     
     toggleWireframe() {
@@ -78,6 +84,10 @@ export class Debug {
         this.engine.physics.debugDraw = !this.engine.physics.debugDraw;
     }
     
+    toggleNavGrid() {
+        this.engine.navGrid.toggleDebug();
+    }
+    
     update(deltaTime) {
         // Always update FPS counter, regardless of debug mode
         this.updateFPSCounter(deltaTime);
@@ -124,11 +134,17 @@ export class Debug {
         if (!this.enabled) return;
         
         // Update stats
+        const nav = this.engine.navGrid.getStats();
+        const flowField = this.engine.enemyManager.flowField;
+        const broadphase = this.engine.physics.broadphaseStats;
         this.statsElement.innerHTML = `
             FPS: ${this.fps} <br>
             Frame Time: ${this.frameTime.toFixed(2)}ms <br>
             Objects: ${this.engine.renderer.scene.children.length} <br>
-            Physics Bodies: ${this.engine.physics.bodies.length}
+            Physics Bodies: ${this.engine.physics.bodies.length} <br>
+            Broadphase Pairs: ${broadphase.candidatePairs} / ${broadphase.naivePairs} (${broadphase.contacts} contacts) <br>
+            Nav Grid: ${nav.width}x${nav.depth} @ ${nav.cellSize}m, ${nav.blocked} blocked <br>
+            Flow Field: ${flowField.rebuildCount} rebuilds, last ${flowField.lastBuildTime.toFixed(2)}ms
         `;
         
         // Update player position
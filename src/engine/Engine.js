@@ -10,6 +10,12 @@ import { Player } from '../player/Player.js';
 import { PlayerCamera } from '../camera/PlayerCamera.js';
 import { Debug } from './Debug.js';
 import { EnemyManager } from '../entities/EnemyManager.js';
+import { NavGrid } from '../navigation/NavGrid.js';
+import { NoiseSystem } from './NoiseSystem.js';
+import { TouchControls } from './TouchControls.js';
+import { WeaponFactory } from '../weapons/WeaponFactory.js';
+import { EffectsSystem } from '../renderer/EffectsSystem.js';
+import { AudioSystem } from './AudioSystem.js';
 
 export class Engine {
     constructor(config = {}) {
@@ -27,12 +33,18 @@ export class Engine {
         
         // Core systems
         this.time = new Time();
-        this.input = new Input();
+        this.input = new Input(this.config);
+        this.touchControls = new TouchControls(this);
         this.assetManager = new AssetManager();
         this.renderer = new Renderer(this);
         this.physics = new PhysicsWorld(this);
         this.entityManager = new EntityManager(this);
         this.mapLoader = new MapLoader(this);
+        this.weaponFactory = new WeaponFactory(this);
+        this.navGrid = new NavGrid(this);
+        this.noise = new NoiseSystem(this);
+        this.effects = new EffectsSystem(this);
+        this.audio = new AudioSystem(this);
         this.debug = new Debug(this);
         this.enemyManager = new EnemyManager(this);
         
@@ -50,7 +62,9 @@ export class Engine {
         // Initialize all systems
         this.input.init();
         await this.assetManager.init();
+        await this.assetManager.loadWeaponDefinitions();
         this.renderer.init();
+        this.effects.init();
         this.physics.init();
         
         // Initialize enemy manager
@@ -64,6 +78,12 @@ export class Engine {
         this.player = new Player(this);
         this.camera = new PlayerCamera(this);
         
+        // The player hears from the camera
+        this.audio.init(this.camera);
+        
+        // On-screen controls, only shown on touch-only devices
+        this.touchControls.init(this.config.forceTouchControls);
+        
         if (this.config.debug) {
             this.debug.enable();
         }
@@ -149,6 +169,15 @@ export class Engine {
         // Clear enemies
         this.enemyManager.clear();
         
+        // Clear navigation data
+        this.navGrid.clear();
+        
+        // Clear leftover decals and particles
+        this.effects.clear();
+        
+        // Silence sounds from the old map
+        this.audio.clear();
+        
         // Unload map-specific assets
         await this.assetManager.unloadGroup(this.currentMap.id);
         
@@ -183,6 +212,9 @@ export class Engine {
         const rawDeltaTime = this.time.update(timestamp);
         const deltaTime = Math.min(rawDeltaTime, 1/30); // Cap to 30fps minimum for stable physics
         
+        // Read gamepads before the player uses this frame's sticks and buttons
+        this.input.poll(deltaTime);
+        
         if (!this.isPaused) {
             // Update player first to ensure responsive controls
             if (this.player) {
@@ -202,6 +234,12 @@ export class Engine {
             if (this.camera) {
                 this.camera.update(deltaTime);
             }
+            
+            // Fade out flashes, tracers and particles
+            this.effects.update(deltaTime);
+            
+            // Move sounds that follow entities
+            this.audio.update(deltaTime);
         }
         
         // Always render even when paused
@@ -1,6 +1,59 @@
 // src/engine/Input.js
+
+/**
+ * Default bindings for each action.
+ * Keyboard bindings are KeyboardEvent.code values (physical keys), mouse buttons are 'Mouse0'-'Mouse4',
+ * the scroll wheel is 'WheelUp'/'WheelDown' and gamepad buttons are the names in GamepadButtons.
+ */
+export const DefaultActionBindings = {
+    moveForward: ['KeyW', 'ArrowUp', 'PadUp'],
+    moveBackward: ['KeyS', 'ArrowDown', 'PadDown'],
+    moveLeft: ['KeyA', 'ArrowLeft', 'PadLeft'],
+    moveRight: ['KeyD', 'ArrowRight', 'PadRight'],
+    jump: ['Space', 'PadA'],
+    sprint: ['ShiftLeft', 'PadLS'],
+    crouch: ['KeyC', 'PadB'],
+    fire: ['Mouse0', 'PadRT'],
+    aim: ['Mouse2', 'PadLT'],
+    reload: ['KeyR', 'PadX'],
+    drop: ['KeyG', 'PadRB'],
+    interact: ['KeyE', 'PadY'],
+    slot1: ['Digit1'],
+    slot2: ['Digit2'],
+    slot3: ['Digit3'],
+    nextWeapon: ['WheelDown', 'PadLB'],
+    previousWeapon: ['WheelUp'],
+    toggleDebug: ['F3', 'PadBack']
+};
+
+/**
+ * Binding names for the buttons of a standard-mapping gamepad, in button index order
+ */
+export const GamepadButtons = [
+    'PadA', 'PadB', 'PadX', 'PadY',
+    'PadLB', 'PadRB', 'PadLT', 'PadRT',
+    'PadBack', 'PadStart', 'PadLS', 'PadRS',
+    'PadUp', 'PadDown', 'PadLeft', 'PadRight',
+    'PadHome'
+];
+
+/**
+ * Default gamepad tuning, overridable through the engine config's "gamepad" object
+ */
+export const DefaultGamepadSettings = {
+    deadzone: 0.15, // Radial stick deadzone
+    triggerThreshold: 0.5, // Trigger travel that counts as pressed
+    lookSensitivityX: 3.0, // Radians per second at full deflection
+    lookSensitivityY: 2.0,
+    lookCurve: 2.0, // Response exponent - higher gives finer aim near the center
+    lookAcceleration: 1.6, // Turn speed multiplier after holding the stick at full tilt
+    lookAccelerationDelay: 0.25, // Seconds at full tilt before acceleration starts
+    lookAccelerationTime: 0.5, // Seconds to ramp up to full acceleration
+    invertY: false
+};
+
 export class Input {
-    constructor() {
+    constructor(options = {}) {
         // Key state
         this.keys = new Map();
         this.keyDownHandlers = new Map();
@@ -20,6 +73,31 @@ export class Input {
         this.touchMoveHandlers = [];
         this.touchEndHandlers = [];
         
+        // On-screen controls - a virtual stick and buttons pressing actions directly
+        this.touchStick = { x: 0, y: 0 };
+        this.virtualActions = new Set();
+        
+        // Gamepad state - polled each frame, first connected pad wins
+        this.gamepadSettings = { ...DefaultGamepadSettings, ...options.gamepad };
+        this.gamepadProvider = () => (navigator.getGamepads ? navigator.getGamepads() : []);
+        this.gamepadIndex = -1; // Index of the active pad, -1 when none
+        this.gamepadButtons = new Map();
+        this.gamepadSticks = {
+            left: { x: 0, y: 0 },
+            right: { x: 0, y: 0 }
+        };
+        this.gamepadLook = { x: 0, y: 0 }; // Radians to turn this frame
+        this.gamepadFullTiltTime = 0;
+        
+        // Action bindings
+        this.bindingsStorageKey = '100zombies.inputBindings';
+        this.actionBindings = new Map(); // Action -> bindings
+        this.bindingActions = new Map(); // Binding -> actions, rebuilt when bindings change
+        this.actionDownHandlers = new Map();
+        this.actionUpHandlers = new Map();
+        this.bindingCaptureHandler = null; // Receives the next pressed binding when rebinding
+        this.resetBindings(false);
+        
         // Pointer lock variables
         this.isPointerLocked = false;
         this.pointerLockElement = null;
@@ -31,6 +109,8 @@ export class Input {
         this.boundHandleMouseMove = this.handleMouseMove.bind(this);
         this.boundHandleMouseDown = this.handleMouseDown.bind(this);
         this.boundHandleMouseUp = this.handleMouseUp.bind(this);
+        this.boundHandleWheel = this.handleWheel.bind(this);
+        this.boundHandleContextMenu = this.handleContextMenu.bind(this);
         this.boundHandleTouchStart = this.handleTouchStart.bind(this);
         this.boundHandleTouchMove = this.handleTouchMove.bind(this);
         this.boundHandleTouchEnd = this.handleTouchEnd.bind(this);
@@ -47,16 +127,22 @@ export class Input {
         window.addEventListener('mousemove', this.boundHandleMouseMove);
         window.addEventListener('mousedown', this.boundHandleMouseDown);
         window.addEventListener('mouseup', this.boundHandleMouseUp);
+        window.addEventListener('wheel', this.boundHandleWheel);
+        window.addEventListener('contextmenu', this.boundHandleContextMenu);
         
         // Set up touch event listeners
         window.addEventListener('touchstart', this.boundHandleTouchStart, { passive: false });
         window.addEventListener('touchmove', this.boundHandleTouchMove, { passive: false });
         window.addEventListener('touchend', this.boundHandleTouchEnd);
+        window.addEventListener('touchcancel', this.boundHandleTouchEnd);
         
         // Set up pointer lock event listeners
         document.addEventListener('pointerlockchange', this.boundHandlePointerLockChange);
         document.addEventListener('pointerlockerror', this.boundHandlePointerLockError);
         
+        // Restore saved bindings
+        this.loadBindings();
+        
         // Set the pointer lock element
         this.pointerLockElement = document.getElementById('game-container') || document.body;
         
@@ -67,6 +153,9 @@ export class Input {
     }
     
     handleKeyDown(event) {
+        if (this.captureBinding(event.code, event)) return;
+        
+        const actionsDown = this.getHeldActions(event.code);
         this.keys.set(event.code, true);
         
         // Call registered handlers
@@ -76,9 +165,12 @@ export class Input {
                 handler(event);
             }
         }
+        
+        this.emitActionChanges(event.code, actionsDown, event);
     }
     
     handleKeyUp(event) {
+        const actionsDown = this.getHeldActions(event.code);
         this.keys.set(event.code, false);
         
         // Call registered handlers
@@ -88,6 +180,8 @@ export class Input {
                 handler(event);
             }
         }
+        
+        this.emitActionChanges(event.code, actionsDown, event);
     }
     
     handleMouseMove(event) {
@@ -109,6 +203,10 @@ export class Input {
     }
     
     handleMouseDown(event) {
+        const binding = `Mouse${event.button}`;
+        if (this.captureBinding(binding, event)) return;
+        
+        const actionsDown = this.getHeldActions(binding);
         this.mouseButtons.set(event.button, true);
         
         // If not locked, request pointer lock on game container
@@ -123,9 +221,13 @@ export class Input {
                 handler(event);
             }
         }
+        
+        this.emitActionChanges(binding, actionsDown, event);
     }
     
     handleMouseUp(event) {
+        const binding = `Mouse${event.button}`;
+        const actionsDown = this.getHeldActions(binding);
         this.mouseButtons.set(event.button, false);
         
         // Call registered handlers
@@ -135,6 +237,29 @@ export class Input {
                 handler(event);
             }
         }
+        
+        this.emitActionChanges(binding, actionsDown, event);
+    }
+    
+    handleWheel(event) {
+        if (event.deltaY === 0) return;
+        
+        const binding = event.deltaY < 0 ? 'WheelUp' : 'WheelDown';
+        if (this.captureBinding(binding, event)) return;
+        
+        const actions = this.bindingActions.get(binding);
+        if (!actions) return;
+        
+        // A wheel notch has no release - press and release its actions together
+        for (const action of actions) {
+            this.emitAction(this.actionDownHandlers, action, event);
+            this.emitAction(this.actionUpHandlers, action, event);
+        }
+    }
+    
+    handleContextMenu(event) {
+        // Right mouse is a game binding, not a menu
+        event.preventDefault();
     }
     
     handleTouchStart(event) {
@@ -267,6 +392,533 @@ export class Input {
         this.mouseUpHandlers.get(button).push(handler);
     }
     
+    /**
+     * Check if a binding is currently held
+     * @param {string} binding - Key code or 'MouseN'
+     * @returns {boolean} - True if held (wheel bindings never are)
+     */
+    isBindingDown(binding) {
+        if (binding.startsWith('Pad')) {
+            return this.gamepadButtons.get(binding) === true;
+        }
+        
+        if (binding.startsWith('Mouse')) {
+            return this.isMouseButtonDown(Number(binding.slice(5)));
+        }
+        
+        return this.isKeyDown(binding);
+    }
+    
+    /**
+     * Check if any binding for an action is held
+     * @param {string} action - Action name
+     * @returns {boolean} - True if the action is active
+     */
+    isActionDown(action) {
+        if (this.virtualActions.has(action)) return true;
+        
+        const bindings = this.actionBindings.get(action);
+        if (!bindings) return false;
+        
+        for (const binding of bindings) {
+            if (this.isBindingDown(binding)) return true;
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Register a handler for when an action becomes active
+     * @param {string} action - Action name
+     * @param {Function} handler - Handler receiving the triggering event
+     */
+    onActionDown(action, handler) {
+        if (!this.actionDownHandlers.has(action)) {
+            this.actionDownHandlers.set(action, []);
+        }
+        this.actionDownHandlers.get(action).push(handler);
+    }
+    
+    /**
+     * Register a handler for when an action stops being active
+     * @param {string} action - Action name
+     * @param {Function} handler - Handler receiving the triggering event
+     */
+    onActionUp(action, handler) {
+        if (!this.actionUpHandlers.has(action)) {
+            this.actionUpHandlers.set(action, []);
+        }
+        this.actionUpHandlers.get(action).push(handler);
+    }
+    
+    /**
+     * Hold or release an action from a source without a binding, such as an on-screen button
+     * @param {string} action - Action name
+     * @param {boolean} pressed - New state
+     */
+    setVirtualAction(action, pressed) {
+        const wasDown = this.isActionDown(action);
+        
+        if (pressed) {
+            this.virtualActions.add(action);
+        } else {
+            this.virtualActions.delete(action);
+        }
+        
+        const isDown = this.isActionDown(action);
+        
+        if (isDown && !wasDown) {
+            this.emitAction(this.actionDownHandlers, action, null);
+        } else if (!isDown && wasDown) {
+            this.emitAction(this.actionUpHandlers, action, null);
+        }
+    }
+    
+    /**
+     * Get the analog movement stick - the gamepad's left stick, or the touch joystick
+     * @returns {Object} - Stick { x, y }, zero when neither is deflected
+     */
+    getMoveStick() {
+        const stick = this.gamepadSticks.left;
+        return stick.x !== 0 || stick.y !== 0 ? stick : this.touchStick;
+    }
+    
+    /**
+     * Collect the held actions that use a binding.
+     * Taken before the binding changes state, this tells which actions changed.
+     * @param {string} binding - Binding about to change
+     * @returns {Array} - Held actions
+     */
+    getHeldActions(binding) {
+        const actions = this.bindingActions.get(binding);
+        if (!actions) return [];
+        
+        return actions.filter(action => this.isActionDown(action));
+    }
+    
+    /**
+     * Fire action handlers for actions that started or stopped with a binding change.
+     * Actions with another binding still held don't fire again.
+     * @param {string} binding - Binding that changed
+     * @param {Array} heldBefore - Actions held before the change
+     * @param {Event} event - Triggering event
+     */
+    emitActionChanges(binding, heldBefore, event) {
+        const actions = this.bindingActions.get(binding);
+        if (!actions) return;
+        
+        for (const action of actions) {
+            const wasDown = heldBefore.includes(action);
+            const isDown = this.isActionDown(action);
+            
+            if (isDown && !wasDown) {
+                this.emitAction(this.actionDownHandlers, action, event);
+            } else if (!isDown && wasDown) {
+                this.emitAction(this.actionUpHandlers, action, event);
+            }
+        }
+    }
+    
+    /**
+     * Call the handlers registered for an action
+     * @param {Map} handlerMap - Down or up handlers
+     * @param {string} action - Action name
+     * @param {Event|null} event - Triggering event
+     */
+    emitAction(handlerMap, action, event) {
+        const handlers = handlerMap.get(action);
+        if (handlers) {
+            for (const handler of handlers) {
+                handler(event);
+            }
+        }
+    }
+    
+    /**
+     * Get the bindings for an action
+     * @param {string} action - Action name
+     * @returns {Array} - Bindings (copy)
+     */
+    getBindings(action) {
+        return [...(this.actionBindings.get(action) || [])];
+    }
+    
+    /**
+     * Get the actions that use a binding
+     * @param {string} binding - Key code or 'MouseN'
+     * @returns {Array} - Action names
+     */
+    getActionsForBinding(binding) {
+        return [...(this.bindingActions.get(binding) || [])];
+    }
+    
+    /**
+     * Find bindings shared by more than one action
+     * @returns {Array} - Conflicts as { binding, actions }
+     */
+    getConflicts() {
+        const conflicts = [];
+        
+        for (const [binding, actions] of this.bindingActions) {
+            if (actions.length > 1) {
+                conflicts.push({ binding, actions: [...actions] });
+            }
+        }
+        
+        return conflicts;
+    }
+    
+    /**
+     * Bind an action, taking the binding away from any action already using it
+     * @param {string} action - Action name
+     * @param {string} binding - Key code or 'MouseN'
+     * @param {number} slot - Index to replace, or -1 to add another binding
+     * @returns {Array} - Actions the binding was taken from
+     */
+    bindAction(action, binding, slot = -1) {
+        const displaced = this.getActionsForBinding(binding).filter(other => other !== action);
+        
+        this.changeBindings(() => {
+            for (const other of displaced) {
+                this.removeBinding(other, binding);
+            }
+            
+            const bindings = this.actionBindings.get(action) || [];
+            const existing = bindings.indexOf(binding);
+            
+            if (existing !== -1) {
+                // Already bound here - just move it into the requested slot
+                bindings.splice(existing, 1);
+            }
+            
+            if (slot >= 0 && slot < bindings.length) {
+                bindings[slot] = binding;
+            } else {
+                bindings.push(binding);
+            }
+            
+            this.actionBindings.set(action, bindings);
+        });
+        
+        if (displaced.length > 0) {
+            console.warn(`Binding ${binding} moved to ${action} from ${displaced.join(', ')}`);
+        }
+        
+        return displaced;
+    }
+    
+    /**
+     * Remove one binding, or all bindings, from an action
+     * @param {string} action - Action name
+     * @param {string} binding - Binding to remove, or omitted for all
+     */
+    unbindAction(action, binding) {
+        this.changeBindings(() => {
+            if (binding) {
+                this.removeBinding(action, binding);
+            } else {
+                this.actionBindings.set(action, []);
+            }
+        });
+    }
+    
+    /**
+     * Restore the default bindings
+     * @param {boolean} save - Persist the change
+     */
+    resetBindings(save = true) {
+        const apply = () => {
+            this.actionBindings.clear();
+            
+            for (const [action, bindings] of Object.entries(DefaultActionBindings)) {
+                this.actionBindings.set(action, [...bindings]);
+            }
+        };
+        
+        if (save) {
+            this.changeBindings(apply);
+        } else {
+            apply();
+            this.rebuildBindingLookup();
+        }
+    }
+    
+    /**
+     * Call a handler with the next key or mouse button pressed instead of triggering actions.
+     * Used by rebinding menus.
+     * @param {Function} handler - Receives the binding string, or null if cancelled with Escape
+     */
+    captureNextBinding(handler) {
+        this.bindingCaptureHandler = handler;
+    }
+    
+    /**
+     * Hand a pressed binding to a pending capture
+     * @param {string} binding - Pressed binding
+     * @param {Event} event - Triggering event
+     * @returns {boolean} - True if the press was captured
+     */
+    captureBinding(binding, event) {
+        const handler = this.bindingCaptureHandler;
+        if (!handler) return false;
+        
+        this.bindingCaptureHandler = null;
+        event.preventDefault();
+        handler(binding === 'Escape' ? null : binding);
+        return true;
+    }
+    
+    /**
+     * Get a short display label for an action's first binding
+     * @param {string} action - Action name
+     * @returns {string} - Label such as 'E', 'Space', 'Mouse 1' or 'RT'
+     */
+    getBindingLabel(action) {
+        const binding = this.getBindings(action)[0];
+        if (!binding) return 'Unbound';
+        
+        if (binding.startsWith('Mouse')) {
+            return `Mouse ${Number(binding.slice(5)) + 1}`;
+        }
+        
+        return binding.replace(/^(Key|Digit|Pad)/, '');
+    }
+    
+    /**
+     * Apply a binding change, releasing actions whose held binding was removed, then save
+     * @param {Function} change - Mutates actionBindings
+     */
+    changeBindings(change) {
+        const heldBefore = [...this.actionBindings.keys()].filter(action => this.isActionDown(action));
+        
+        change();
+        this.rebuildBindingLookup();
+        
+        for (const action of heldBefore) {
+            if (!this.isActionDown(action)) {
+                this.emitAction(this.actionUpHandlers, action, null);
+            }
+        }
+        
+        this.saveBindings();
+    }
+    
+    /**
+     * Remove a binding from an action's list
+     * @param {string} action - Action name
+     * @param {string} binding - Binding to remove
+     */
+    removeBinding(action, binding) {
+        const bindings = this.actionBindings.get(action);
+        if (!bindings) return;
+        
+        const index = bindings.indexOf(binding);
+        if (index !== -1) {
+            bindings.splice(index, 1);
+        }
+    }
+    
+    /**
+     * Rebuild the binding -> actions lookup
+     */
+    rebuildBindingLookup() {
+        this.bindingActions.clear();
+        
+        for (const [action, bindings] of this.actionBindings) {
+            for (const binding of bindings) {
+                if (!this.bindingActions.has(binding)) {
+                    this.bindingActions.set(binding, []);
+                }
+                this.bindingActions.get(binding).push(action);
+            }
+        }
+    }
+    
+    /**
+     * Save bindings to localStorage
+     */
+    saveBindings() {
+        try {
+            const data = Object.fromEntries(this.actionBindings);
+            localStorage.setItem(this.bindingsStorageKey, JSON.stringify(data));
+        } catch (error) {
+            console.warn('Could not save input bindings:', error);
+        }
+    }
+    
+    /**
+     * Load bindings from localStorage, keeping defaults for actions that weren't saved
+     */
+    loadBindings() {
+        let data = null;
+        
+        try {
+            data = JSON.parse(localStorage.getItem(this.bindingsStorageKey));
+        } catch (error) {
+            console.warn('Could not load input bindings:', error);
+        }
+        
+        if (!data || typeof data !== 'object') return;
+        
+        for (const [action, bindings] of Object.entries(data)) {
+            // Ignore actions that no longer exist and malformed entries
+            if (!this.actionBindings.has(action) || !Array.isArray(bindings)) continue;
+            
+            this.actionBindings.set(action, bindings.filter(binding => typeof binding === 'string'));
+        }
+        
+        this.rebuildBindingLookup();
+        
+        const conflicts = this.getConflicts();
+        if (conflicts.length > 0) {
+            console.warn('Saved input bindings have conflicts:', conflicts);
+        }
+    }
+    
+    /**
+     * Replace where gamepads are read from, e.g. with a ScriptedGamepad in tests
+     * @param {Function} provider - Returns an array of Gamepad-like objects
+     */
+    setGamepadProvider(provider) {
+        this.gamepadProvider = provider;
+    }
+    
+    /**
+     * Read the active gamepad's buttons and sticks
+     * @param {number} deltaTime - Time since last poll
+     */
+    pollGamepad(deltaTime) {
+        const pads = this.gamepadProvider() || [];
+        let pad = null;
+        
+        // Play scripted pads' timed steps before reading them
+        for (const candidate of pads) {
+            if (candidate && typeof candidate.advance === 'function') {
+                candidate.advance(deltaTime);
+            }
+        }
+        
+        for (const candidate of pads) {
+            if (candidate && candidate.connected) {
+                pad = candidate;
+                break;
+            }
+        }
+        
+        if (!pad) {
+            if (this.gamepadIndex !== -1) {
+                console.log('Gamepad disconnected');
+                this.resetGamepad();
+            }
+            return;
+        }
+        
+        if (pad.index !== this.gamepadIndex) {
+            console.log(`Gamepad connected: ${pad.id}`);
+            this.resetGamepad();
+            this.gamepadIndex = pad.index;
+        }
+        
+        const settings = this.gamepadSettings;
+        
+        // Buttons - triggers are analog, so use our own threshold for them
+        for (let i = 0; i < GamepadButtons.length; i++) {
+            const button = pad.buttons[i];
+            const name = GamepadButtons[i];
+            const isTrigger = name === 'PadLT' || name === 'PadRT';
+            const pressed = !!button && (isTrigger ? button.value >= settings.triggerThreshold : button.pressed);
+            
+            this.setGamepadButton(name, pressed);
+        }
+        
+        // Sticks
+        const axes = pad.axes;
+        this.applyDeadzone(axes[0] || 0, axes[1] || 0, this.gamepadSticks.left);
+        this.applyDeadzone(axes[2] || 0, axes[3] || 0, this.gamepadSticks.right);
+        
+        this.updateGamepadLook(deltaTime);
+    }
+    
+    /**
+     * Update a gamepad button, firing action handlers if its actions change
+     * @param {string} binding - Button name
+     * @param {boolean} pressed - New state
+     */
+    setGamepadButton(binding, pressed) {
+        if ((this.gamepadButtons.get(binding) === true) === pressed) return;
+        
+        const actionsDown = this.getHeldActions(binding);
+        this.gamepadButtons.set(binding, pressed);
+        this.emitActionChanges(binding, actionsDown, null);
+    }
+    
+    /**
+     * Apply a radial deadzone, rescaling so output still starts at 0 and reaches 1
+     * @param {number} x - Raw X axis
+     * @param {number} y - Raw Y axis
+     * @param {Object} out - Stick to write { x, y } into
+     * @returns {Object} - The stick
+     */
+    applyDeadzone(x, y, out) {
+        const deadzone = this.gamepadSettings.deadzone;
+        const magnitude = Math.sqrt(x * x + y * y);
+        
+        if (magnitude <= deadzone) {
+            out.x = 0;
+            out.y = 0;
+            return out;
+        }
+        
+        const scaled = (Math.min(magnitude, 1) - deadzone) / (1 - deadzone);
+        out.x = x / magnitude * scaled;
+        out.y = y / magnitude * scaled;
+        return out;
+    }
+    
+    /**
+     * Turn the right stick into a look rotation for this frame
+     * @param {number} deltaTime - Time since last poll
+     */
+    updateGamepadLook(deltaTime) {
+        const settings = this.gamepadSettings;
+        const stick = this.gamepadSticks.right;
+        const magnitude = Math.sqrt(stick.x * stick.x + stick.y * stick.y);
+        
+        // Holding full tilt ramps up turn speed for quick 180s
+        if (magnitude > 0.95) {
+            this.gamepadFullTiltTime += deltaTime;
+        } else {
+            this.gamepadFullTiltTime = 0;
+        }
+        
+        const ramp = Math.max(0, Math.min(1,
+            (this.gamepadFullTiltTime - settings.lookAccelerationDelay) / settings.lookAccelerationTime
+        ));
+        const acceleration = 1 + (settings.lookAcceleration - 1) * ramp;
+        
+        // Response curve applied to the deflection, keeping its direction
+        const response = magnitude > 0 ? Math.pow(magnitude, settings.lookCurve) / magnitude : 0;
+        const scale = response * acceleration * deltaTime;
+        
+        this.gamepadLook.x = stick.x * scale * settings.lookSensitivityX;
+        this.gamepadLook.y = stick.y * scale * settings.lookSensitivityY * (settings.invertY ? -1 : 1);
+    }
+    
+    /**
+     * Release all gamepad buttons and center the sticks
+     */
+    resetGamepad() {
+        for (const binding of GamepadButtons) {
+            this.setGamepadButton(binding, false);
+        }
+        
+        this.gamepadIndex = -1;
+        this.gamepadSticks.left.x = this.gamepadSticks.left.y = 0;
+        this.gamepadSticks.right.x = this.gamepadSticks.right.y = 0;
+        this.gamepadLook.x = this.gamepadLook.y = 0;
+        this.gamepadFullTiltTime = 0;
+    }
+    
     onTouchStart(handler) {
         this.touchStartHandlers.push(handler);
     }
@@ -279,6 +931,15 @@ export class Input {
         this.touchEndHandlers.push(handler);
     }
     
+    /**
+     * Read devices that have no events - call at the start of a frame, before anything reads input
+     * @param {number} deltaTime - Time since last frame
+     */
+    poll(deltaTime) {
+        // Gamepads have no events for buttons or sticks
+        this.pollGamepad(deltaTime);
+    }
+    
     update() {
         // Reset mouse delta each frame
         this.mouseDelta.x = 0;
@@ -292,9 +953,12 @@ export class Input {
         window.removeEventListener('mousemove', this.boundHandleMouseMove);
         window.removeEventListener('mousedown', this.boundHandleMouseDown);
         window.removeEventListener('mouseup', this.boundHandleMouseUp);
+        window.removeEventListener('wheel', this.boundHandleWheel);
+        window.removeEventListener('contextmenu', this.boundHandleContextMenu);
         window.removeEventListener('touchstart', this.boundHandleTouchStart);
         window.removeEventListener('touchmove', this.boundHandleTouchMove);
         window.removeEventListener('touchend', this.boundHandleTouchEnd);
+        window.removeEventListener('touchcancel', this.boundHandleTouchEnd);
         document.removeEventListener('pointerlockchange', this.boundHandlePointerLockChange);
         document.removeEventListener('pointerlockerror', this.boundHandlePointerLockError);
         
@@ -304,6 +968,8 @@ export class Input {
         this.mouseMoveHandlers = [];
         this.mouseDownHandlers.clear();
         this.mouseUpHandlers.clear();
+        this.actionDownHandlers.clear();
+        this.actionUpHandlers.clear();
         this.touchStartHandlers = [];
         this.touchMoveHandlers = [];
         this.touchEndHandlers = [];
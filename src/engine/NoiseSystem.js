@@ -0,0 +1,48 @@
+// src/engine/NoiseSystem.js
+export class NoiseSystem {
+    constructor(engine) {
+        this.engine = engine;
+        
+        // Handlers notified of every noise
+        this.noiseHandlers = [];
+        
+        // Most recent noise, for debugging
+        this.lastNoise = null;
+        this.noiseCount = 0;
+    }
+    
+    /**
+     * Emit a noise into the world
+     * @param {Vector3} position - Where the noise came from
+     * @param {number} loudness - Radius in meters the noise can be heard within
+     * @param {string} source - What made the noise (e.g. 'gunfire', 'footstep')
+     * @returns {Object} - The emitted noise event
+     */
+    emit(position, loudness, source = 'unknown') {
+        if (!position || loudness <= 0) return null;
+        
+        const noise = {
+            position: position.clone(),
+            loudness,
+            source,
+            time: performance.now()
+        };
+        
+        this.lastNoise = noise;
+        this.noiseCount++;
+        
+        for (const handler of this.noiseHandlers) {
+            handler(noise);
+        }
+        
+        return noise;
+    }
+    
+    /**
+     * Register a handler called whenever a noise is emitted
+     * @param {Function} handler - Receives the noise event
+     */
+    onNoise(handler) {
+        this.noiseHandlers.push(handler);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,96 @@
+// src/engine/ScriptedGamepad.js
+import { GamepadButtons } from './Input.js';
+
+/**
+ * Fake standard-mapping gamepad for tests and demos.
+ * Inject with input.setGamepadProvider(() => [pad]) and drive it directly or from timed steps,
+ * which play back as Input polls the pad each frame.
+ */
+export class ScriptedGamepad {
+    /**
+     * Create a scripted gamepad
+     * @param {Array} steps - Timed steps, e.g. { time: 0.5, press: 'PadRT' }, { time: 1, stick: 'left', x: 0, y: -1 }
+     */
+    constructor(steps = []) {
+        // Same shape as a Gamepad from navigator.getGamepads()
+        this.id = 'Scripted Gamepad';
+        this.index = 0;
+        this.connected = true;
+        this.mapping = 'standard';
+        this.buttons = GamepadButtons.map(() => ({ pressed: false, touched: false, value: 0 }));
+        this.axes = [0, 0, 0, 0];
+        
+        // Script playback
+        this.steps = [...steps].sort((a, b) => a.time - b.time);
+        this.time = 0;
+    }
+    
+    /**
+     * Press a button
+     * @param {string} name - Button binding name, e.g. 'PadA'
+     * @param {number} value - Analog value, for triggers
+     */
+    press(name, value = 1) {
+        const button = this.getButton(name);
+        button.value = value;
+        button.pressed = value > 0;
+        button.touched = value > 0;
+    }
+    
+    /**
+     * Release a button
+     * @param {string} name - Button binding name
+     */
+    release(name) {
+        this.press(name, 0);
+    }
+    
+    /**
+     * Move a stick
+     * @param {string} side - 'left' or 'right'
+     * @param {number} x - Horizontal axis, -1 to 1
+     * @param {number} y - Vertical axis, -1 (up) to 1
+     */
+    setStick(side, x, y) {
+        const offset = side === 'right' ? 2 : 0;
+        this.axes[offset] = x;
+        this.axes[offset + 1] = y;
+    }
+    
+    /**
+     * Advance the script, applying any steps that are due
+     * @param {number} deltaTime - Time to advance in seconds
+     */
+    advance(deltaTime) {
+        this.time += deltaTime;
+        
+        while (this.steps.length > 0 && this.steps[0].time <= this.time) {
+            this.apply(this.steps.shift());
+        }
+    }
+    
+    /**
+     * Apply one scripted step
+     * @param {Object} step - { press, release, value, stick, x, y, connected }
+     */
+    apply(step) {
+        if (step.press) this.press(step.press, step.value !== undefined ? step.value : 1);
+        if (step.release) this.release(step.release);
+        if (step.stick) this.setStick(step.stick, step.x || 0, step.y || 0);
+        if (step.connected !== undefined) this.connected = step.connected;
+    }
+    
+    /**
+     * Look up a button by binding name
+     * @param {string} name - Button binding name
+     * @returns {Object} - Button state
+     */
+    getButton(name) {
+        const index = GamepadButtons.indexOf(name);
+        if (index === -1) {
+            throw new Error(`Unknown gamepad button: ${name}`);
+        }
+        
+        return this.buttons[index];
+    }
+}
\ No newline at end of file
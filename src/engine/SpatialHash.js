@@ -0,0 +1,182 @@
+// src/engine/SpatialHash.js
+
+/**
+ * Uniform grid over the XZ plane for fast proximity queries
+ */
+export class SpatialHash {
+    /**
+     * Create a new spatial hash
+     * @param {number} cellSize - Size of each grid cell in meters
+     */
+    constructor(cellSize = 4) {
+        this.cellSize = cellSize;
+        
+        // Cell key -> items overlapping that cell. Emptied cells are kept so their arrays are reused
+        this.cells = new Map();
+        
+        // Item -> cell range it was inserted into, with the keys of those cells
+        this.itemCells = new Map();
+        
+        // Reused by query to skip items spanning several cells
+        this.seen = new Set();
+    }
+    
+    /**
+     * Number of items in the hash
+     * @returns {number}
+     */
+    get size() {
+        return this.itemCells.size;
+    }
+    
+    /**
+     * Build a cell key from cell coordinates
+     * @param {number} cx - Cell X
+     * @param {number} cz - Cell Z
+     * @returns {number} - Cell key
+     */
+    key(cx, cz) {
+        // Pack two 16-bit cell coordinates into one integer
+        return ((cx & 0xffff) << 16) | (cz & 0xffff);
+    }
+    
+    /**
+     * Insert an item covering a square area
+     * @param {Object} item - Item to store
+     * @param {number} x - Center X
+     * @param {number} z - Center Z
+     * @param {number} radius - Half size of the covered area
+     */
+    insert(item, x, z, radius = 0) {
+        if (this.itemCells.has(item)) {
+            this.remove(item);
+        }
+        
+        const minX = Math.floor((x - radius) / this.cellSize);
+        const maxX = Math.floor((x + radius) / this.cellSize);
+        const minZ = Math.floor((z - radius) / this.cellSize);
+        const maxZ = Math.floor((z + radius) / this.cellSize);
+        
+        this.insertRange(item, minX, maxX, minZ, maxZ);
+    }
+    
+    /**
+     * Move an item that may already be in the hash, only touching cells if it crossed into new ones
+     * @param {Object} item - Item to store
+     * @param {number} x - Center X
+     * @param {number} z - Center Z
+     * @param {number} radius - Half size of the covered area
+     */
+    update(item, x, z, radius = 0) {
+        const minX = Math.floor((x - radius) / this.cellSize);
+        const maxX = Math.floor((x + radius) / this.cellSize);
+        const minZ = Math.floor((z - radius) / this.cellSize);
+        const maxZ = Math.floor((z + radius) / this.cellSize);
+        
+        const entry = this.itemCells.get(item);
+        if (entry) {
+            if (entry.minX === minX && entry.maxX === maxX && entry.minZ === minZ && entry.maxZ === maxZ) {
+                return;
+            }
+            
+            this.remove(item);
+        }
+        
+        this.insertRange(item, minX, maxX, minZ, maxZ);
+    }
+    
+    /**
+     * Add an item to every cell in a range
+     * @param {Object} item - Item to store
+     * @param {number} minX - First cell X
+     * @param {number} maxX - Last cell X
+     * @param {number} minZ - First cell Z
+     * @param {number} maxZ - Last cell Z
+     */
+    insertRange(item, minX, maxX, minZ, maxZ) {
+        const keys = [];
+        
+        for (let cx = minX; cx <= maxX; cx++) {
+            for (let cz = minZ; cz <= maxZ; cz++) {
+                const key = this.key(cx, cz);
+                let cell = this.cells.get(key);
+                
+                if (!cell) {
+                    cell = [];
+                    this.cells.set(key, cell);
+                }
+                
+                cell.push(item);
+                keys.push(key);
+            }
+        }
+        
+        this.itemCells.set(item, { minX, maxX, minZ, maxZ, keys });
+    }
+    
+    /**
+     * Remove an item from the hash
+     * @param {Object} item - Item to remove
+     * @returns {boolean} - True if the item was present
+     */
+    remove(item) {
+        const entry = this.itemCells.get(item);
+        if (!entry) return false;
+        
+        for (const key of entry.keys) {
+            const cell = this.cells.get(key);
+            if (!cell) continue;
+            
+            const index = cell.indexOf(item);
+            if (index !== -1) {
+                cell.splice(index, 1);
+            }
+        }
+        
+        this.itemCells.delete(item);
+        return true;
+    }
+    
+    /**
+     * Find items whose cells overlap a square area
+     * @param {number} x - Center X
+     * @param {number} z - Center Z
+     * @param {number} radius - Half size of the area
+     * @param {Array} results - Optional array to fill
+     * @returns {Array} - Candidate items (callers do the exact distance test)
+     */
+    query(x, z, radius, results = []) {
+        const seen = this.seen;
+        seen.clear();
+        
+        const minX = Math.floor((x - radius) / this.cellSize);
+        const maxX = Math.floor((x + radius) / this.cellSize);
+        const minZ = Math.floor((z - radius) / this.cellSize);
+        const maxZ = Math.floor((z + radius) / this.cellSize);
+        
+        for (let cx = minX; cx <= maxX; cx++) {
+            for (let cz = minZ; cz <= maxZ; cz++) {
+                const cell = this.cells.get(this.key(cx, cz));
+                if (!cell) continue;
+                
+                for (const item of cell) {
+                    if (seen.has(item)) continue;
+                    
+                    seen.add(item);
+                    results.push(item);
+                }
+            }
+        }
+        
+        seen.clear();
+        return results;
+    }
+    
+    /**
+     * Remove all items
+     */
+    clear() {
+        this.cells.clear();
+        this.itemCells.clear();
+    }
+}
\ No newline at end of file
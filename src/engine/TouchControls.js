@@ -0,0 +1,181 @@
+// src/engine/TouchControls.js
+
+/**
+ * On-screen controls for touch-only devices: a floating movement joystick on the left half
+ * of the screen, drag-to-look everywhere else, and action buttons in the HUD.
+ */
+export class TouchControls {
+    constructor(engine) {
+        this.engine = engine;
+        this.enabled = false;
+        
+        // Tuning
+        this.joystickRadius = 60; // Pixels of drag for full deflection
+        this.lookSensitivity = 0.005; // Radians per pixel dragged
+        
+        // Active touches by identifier
+        this.joystickTouch = null; // { id, originX, originY }
+        this.lookTouch = null; // { id, lastX, lastY }
+        this.buttonTouches = new Map(); // Touch id -> action
+        
+        // DOM elements
+        this.container = document.getElementById('touch-controls');
+        this.joystick = document.getElementById('touch-joystick');
+        this.joystickKnob = document.getElementById('touch-joystick-knob');
+    }
+    
+    /**
+     * Check whether the device only has touch input
+     * @returns {boolean} - True if there's a touch screen and no fine pointer like a mouse
+     */
+    static isTouchOnlyDevice() {
+        const hasTouch = navigator.maxTouchPoints > 0 || 'ontouchstart' in window;
+        const hasFinePointer = window.matchMedia && window.matchMedia('(any-pointer: fine)').matches;
+        
+        return hasTouch && !hasFinePointer;
+    }
+    
+    /**
+     * Show the controls and start listening if this is a touch-only device
+     * @param {boolean} force - Enable even when a mouse is present
+     */
+    init(force = false) {
+        if (!this.container || (!force && !TouchControls.isTouchOnlyDevice())) return;
+        
+        const input = this.engine.input;
+        input.onTouchStart(event => this.handleTouchStart(event));
+        input.onTouchMove(event => this.handleTouchMove(event));
+        input.onTouchEnd(event => this.handleTouchEnd(event));
+        
+        this.enabled = true;
+        this.container.classList.remove('hidden');
+        
+        console.log('Touch controls enabled');
+    }
+    
+    handleTouchStart(event) {
+        if (!this.enabled) return;
+        
+        for (const touch of event.changedTouches) {
+            // Buttons first - they sit on top of both regions
+            const button = touch.target && touch.target.closest ? touch.target.closest('[data-action]') : null;
+            
+            if (button) {
+                const action = button.dataset.action;
+                this.buttonTouches.set(touch.identifier, action);
+                button.classList.add('pressed');
+                this.engine.input.setVirtualAction(action, true);
+            } else if (!this.joystickTouch && touch.clientX < window.innerWidth / 2) {
+                // Left half - joystick centered where the thumb landed
+                this.joystickTouch = {
+                    id: touch.identifier,
+                    originX: touch.clientX,
+                    originY: touch.clientY
+                };
+                this.showJoystick(touch.clientX, touch.clientY);
+            } else if (!this.lookTouch) {
+                this.lookTouch = {
+                    id: touch.identifier,
+                    lastX: touch.clientX,
+                    lastY: touch.clientY
+                };
+            }
+        }
+    }
+    
+    handleTouchMove(event) {
+        if (!this.enabled) return;
+        
+        for (const touch of event.changedTouches) {
+            if (this.joystickTouch && touch.identifier === this.joystickTouch.id) {
+                this.updateJoystick(touch.clientX, touch.clientY);
+            } else if (this.lookTouch && touch.identifier === this.lookTouch.id) {
+                const dx = touch.clientX - this.lookTouch.lastX;
+                const dy = touch.clientY - this.lookTouch.lastY;
+                this.lookTouch.lastX = touch.clientX;
+                this.lookTouch.lastY = touch.clientY;
+                
+                if (this.engine.player) {
+                    this.engine.player.applyLook(dx * this.lookSensitivity, dy * this.lookSensitivity);
+                }
+            }
+        }
+    }
+    
+    handleTouchEnd(event) {
+        if (!this.enabled) return;
+        
+        for (const touch of event.changedTouches) {
+            if (this.joystickTouch && touch.identifier === this.joystickTouch.id) {
+                this.joystickTouch = null;
+                this.engine.input.touchStick.x = 0;
+                this.engine.input.touchStick.y = 0;
+                this.hideJoystick();
+            } else if (this.lookTouch && touch.identifier === this.lookTouch.id) {
+                this.lookTouch = null;
+            } else if (this.buttonTouches.has(touch.identifier)) {
+                const action = this.buttonTouches.get(touch.identifier);
+                this.buttonTouches.delete(touch.identifier);
+                
+                // Another finger may still be holding the same button
+                if (![...this.buttonTouches.values()].includes(action)) {
+                    this.engine.input.setVirtualAction(action, false);
+                    this.setButtonPressed(action, false);
+                }
+            }
+        }
+    }
+    
+    /**
+     * Move the joystick knob and update the movement stick
+     * @param {number} x - Touch X in pixels
+     * @param {number} y - Touch Y in pixels
+     */
+    updateJoystick(x, y) {
+        let dx = x - this.joystickTouch.originX;
+        let dy = y - this.joystickTouch.originY;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        
+        // Keep the knob inside the base
+        if (distance > this.joystickRadius) {
+            dx *= this.joystickRadius / distance;
+            dy *= this.joystickRadius / distance;
+        }
+        
+        // Drag up is forward, matching a gamepad stick
+        const stick = this.engine.input.touchStick;
+        stick.x = dx / this.joystickRadius;
+        stick.y = dy / this.joystickRadius;
+        
+        if (this.joystickKnob) {
+            this.joystickKnob.style.transform = `translate(${dx}px, ${dy}px)`;
+        }
+    }
+    
+    showJoystick(x, y) {
+        if (!this.joystick) return;
+        
+        this.joystick.style.left = `${x}px`;
+        this.joystick.style.top = `${y}px`;
+        this.joystick.classList.add('active');
+    }
+    
+    hideJoystick() {
+        if (!this.joystick) return;
+        
+        this.joystick.classList.remove('active');
+        this.joystick.style.left = '';
+        this.joystick.style.top = '';
+        
+        if (this.joystickKnob) {
+            this.joystickKnob.style.transform = '';
+        }
+    }
+    
+    setButtonPressed(action, pressed) {
+        const button = this.container.querySelector(`[data-action="${action}"]`);
+        if (button) {
+            button.classList.toggle('pressed', pressed);
+        }
+    }
+}
\ No newline at end of file
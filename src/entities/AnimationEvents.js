@@ -0,0 +1,74 @@
+// src/entities/AnimationEvents.js
+
+/**
+ * Named events at normalized times within animation clips, e.g. the moment an attack connects.
+ * Three.js mixers only report loops and finishes, so this checks the watched action's time
+ * after each mixer update and fires every event it passed. Timing follows the animation,
+ * including its speed, and stops while the mixer isn't updated.
+ */
+export class AnimationEvents {
+    /**
+     * @param {Object} events - Event lists by clip name, e.g. { attack: [{ name: 'hit', time: 0.4 }] }
+     */
+    constructor(events = {}) {
+        this.events = events;
+        
+        this.action = null;
+        this.lastTime = -1;
+        
+        // Handlers called with (name, action)
+        this.eventHandlers = [];
+    }
+    
+    /**
+     * Follow a newly played action
+     * @param {AnimationAction} action - Action to watch
+     */
+    watch(action) {
+        this.action = action;
+        this.lastTime = -1;
+    }
+    
+    /**
+     * Register a handler called whenever an event fires
+     * @param {Function} handler - Receives the event name and its action
+     */
+    onEvent(handler) {
+        this.eventHandlers.push(handler);
+    }
+    
+    /**
+     * Fire events the watched action has passed since the last call - call after the mixer updates
+     */
+    update() {
+        const action = this.action;
+        if (!action) return;
+        
+        const clip = action.getClip();
+        const events = this.events[clip.name];
+        if (!events || clip.duration <= 0) return;
+        
+        const time = action.time / clip.duration;
+        if (time === this.lastTime) return;
+        
+        // A looping clip wrapped around since the last check
+        const wrapped = time < this.lastTime;
+        const lastTime = this.lastTime;
+        this.lastTime = time;
+        
+        for (const event of events) {
+            const passed = wrapped ?
+                event.time > lastTime || event.time <= time :
+                event.time > lastTime && event.time <= time;
+            
+            if (!passed) continue;
+            
+            for (const handler of this.eventHandlers) {
+                handler(event.name, action);
+            }
+            
+            // A handler started another animation
+            if (this.action !== action) return;
+        }
+    }
+}
\ No newline at end of file
@@ -1,6 +1,9 @@
 // src/entities/EnemyManager.js
 import { Vector3 } from 'three';
 import { Zombie } from './Zombie.js';
+import { WaveManager } from './WaveManager.js';
+import { ZombiePool } from './ZombiePool.js';
+import { FlowField } from '../navigation/FlowField.js';
 
 export class EnemyManager {
     constructor(engine) {
@@ -11,14 +14,15 @@ export class EnemyManager {
         this.config = {
             maxEnemies: 100,
             preloadAtStart: true,
-            initialActiveCount: 20,
-            activationRate: 2,
-            activationInterval: 1000
+            corpseDuration: 5 // Seconds a corpse lingers after its death animation
         };
         
         // Enemy type definitions
         this.enemyTypes = new Map();
         
+        // Wave type weights already reported as unusable, so each is warned about once
+        this.invalidTypeWeights = new WeakSet();
+        
         // Spawn areas
         this.spawnAreas = [];
         this.totalSpawnWeight = 0;
@@ -27,16 +31,48 @@ export class EnemyManager {
         this.lastSpawnTime = 0;
         this.enabled = true;
         this.preloadComplete = false;
-        this.preloadedZombies = [];
         this.preloadProgress = 0;
+        
+        // Initialized zombies waiting to be spawned or recycled
+        this.pool = new ZombiePool();
+        
+        // Dead zombies playing out their death animation
+        this.corpses = [];
+        
+        // Round/wave controller
+        this.waves = new WaveManager(this);
+        
+        // Shared heading toward the player for chasing zombies
+        this.flowField = new FlowField(engine.navGrid);
+        
+        // Handlers notified whenever any zombie is hit
+        this.zombieHitHandlers = [];
     }
     
     init() {
         // Register default enemy types
         this.registerDefaultEnemyTypes();
+        
+        // Let zombies hear gunfire, footsteps and other noises
+        this.engine.noise.onNoise(noise => this.onNoise(noise));
+        
         console.log("Enemy manager initialized");
     }
     
+    /**
+     * Pass a noise on to every zombie close enough to hear it
+     * @param {Object} noise - Noise event from the noise system
+     */
+    onNoise(noise) {
+        for (const zombie of this.enemies) {
+            if (!zombie.isAlive) continue;
+            
+            if (zombie.position.distanceTo(noise.position) <= noise.loudness * zombie.hearingMultiplier) {
+                zombie.hearNoise(noise);
+            }
+        }
+    }
+    
     /**
      * Register default enemy types if none defined in map
      */
@@ -48,7 +84,10 @@ export class EnemyManager {
             health: 100,
             speed: 3.0,
             damage: 20,
-            detectionRange: 15
+            detectionRange: 15,
+            fieldOfView: 120,
+            hitZones: {},
+            crawlThreshold: 0.4
         });
     }
     
@@ -78,10 +117,18 @@ export class EnemyManager {
                     health: typeData.health || 100,
                     speed: typeData.speed || 3.0,
                     damage: typeData.damage || 20,
-                    detectionRange: typeData.detectionRange || 15
+                    detectionRange: typeData.detectionRange || 15,
+                    fieldOfView: typeData.fieldOfView || 120,
+                    hitZones: typeData.hitZones || {},
+                    crawlThreshold: typeData.crawlThreshold !== undefined ? typeData.crawlThreshold : 0.4
                 });
             }
         }
+        
+        // Configure wave table if provided
+        if (config.waves) {
+            this.waves.configure(config.waves);
+        }
     }
     
     /**
@@ -151,11 +198,40 @@ export class EnemyManager {
     update(deltaTime) {
         if (!this.enabled) return;
         
-        // Only handle cooldown-based spawning if not using preloading
+        // Waves draw from the preloaded pool
         if (!this.preloadComplete) return;
         
-        // Clean up dead enemies
-        this.enemies = this.enemies.filter(enemy => enemy.isAlive);
+        // Move newly dead enemies to the corpse list
+        for (let i = this.enemies.length - 1; i >= 0; i--) {
+            const enemy = this.enemies[i];
+            
+            if (!enemy.isAlive) {
+                this.enemies.splice(i, 1);
+                this.corpses.push({ zombie: enemy, time: 0 });
+                this.waves.onZombieKilled(enemy);
+            }
+        }
+        
+        // Recycle corpses once their death animation has finished
+        for (let i = this.corpses.length - 1; i >= 0; i--) {
+            const corpse = this.corpses[i];
+            if (!corpse.zombie.isDeathComplete()) continue;
+            
+            corpse.time += deltaTime;
+            
+            if (corpse.time >= this.config.corpseDuration) {
+                this.corpses.splice(i, 1);
+                this.pool.release(corpse.zombie);
+            }
+        }
+        
+        // Rebuild the flow field when the player enters a new cell
+        if (this.engine.player && this.enemies.length > 0) {
+            this.flowField.update(this.engine.player.position);
+        }
+        
+        // Spawn according to the current wave
+        this.waves.update(deltaTime);
     }
     
     /**
@@ -197,20 +273,11 @@ export class EnemyManager {
             const spawnPoint = this.getSpawnPosition(player.position);
             
             // Create zombie with type-specific properties
-            const zombie = new Zombie(this.engine, spawnPoint, {
-                health: zombieType.health,
-                speed: zombieType.speed,
-                damage: zombieType.damage,
-                detectionRange: zombieType.detectionRange,
-                type: zombieType.id
-            });
+            const zombie = this.createZombie(spawnPoint, zombieType);
             
-            // Initialize the zombie but keep it disabled
+            // Initialize the zombie and park it in the pool
             await zombie.init(this.engine);
-            zombie.enabled = false;
-            
-            // Store reference without adding to engine yet
-            this.preloadedZombies.push(zombie);
+            this.pool.add(zombie);
             
             // Allow UI to update by yielding execution
             if (i % 10 === 0) {
@@ -229,52 +296,57 @@ export class EnemyManager {
     }
     
     /**
-     * Activate preloaded zombies and add them to the game world
+     * Start the round/wave cycle
      */
-    activatePreloadedZombies() {
-        console.log("Activating zombies...");
-        
-        // Activate initial batch
-        const initialCount = Math.min(
-            this.config.initialActiveCount, 
-            this.preloadedZombies.length
-        );
+    startWaves() {
+        console.log("Starting waves...");
+        this.waves.start();
+    }
+    
+    /**
+     * Bring a pooled zombie into play for the current wave
+     * @param {Object|null} typeWeights - Optional per-wave weights keyed by type id
+     * @param {number} healthMultiplier - Health scaling for this wave
+     * @returns {Zombie|null} - Activated zombie or null if the pool is empty
+     */
+    activateZombie(typeWeights = null, healthMultiplier = 1.0) {
+        const zombie = this.pool.acquire();
+        if (!zombie) return null;
         
-        for (let i = 0; i < initialCount; i++) {
-            const zombie = this.preloadedZombies[i];
-            
-            // Enable and add to the game world
-            zombie.enabled = true;
-            this.engine.entityManager.addEntity(zombie);
-            this.enemies.push(zombie);
-        }
+        const player = this.engine.player;
+        const typeData = this.getRandomEnemyType(typeWeights);
+        const spawnPoint = this.getSpawnPosition(player ? player.position : new Vector3());
         
-        // Schedule the rest to be activated gradually
-        this.scheduleRemainingZombies(initialCount);
+        return this.placeZombie(zombie, spawnPoint, typeData, healthMultiplier);
     }
     
     /**
-     * Schedule remaining zombies to activate gradually
-     * @param {number} startIndex - Index to start from
+     * Respawn a pooled zombie and put it into play
+     * @param {Zombie} zombie - Zombie taken from the pool
+     * @param {Vector3} position - Spawn position
+     * @param {Object} typeData - Enemy type definition
+     * @param {number} healthMultiplier - Health scaling
+     * @returns {Zombie} - The placed zombie
      */
-    scheduleRemainingZombies(startIndex) {
-        let index = startIndex;
-        
-        // Activate remaining zombies over time
-        const interval = setInterval(() => {
-            if (index >= this.preloadedZombies.length) {
-                clearInterval(interval);
-                return;
-            }
-            
-            // Activate next batch of zombies
-            for (let i = 0; i < this.config.activationRate && index < this.preloadedZombies.length; i++, index++) {
-                const zombie = this.preloadedZombies[index];
-                zombie.enabled = true;
-                this.engine.entityManager.addEntity(zombie);
-                this.enemies.push(zombie);
-            }
-        }, this.config.activationInterval);
+    placeZombie(zombie, position, typeData, healthMultiplier = 1.0) {
+        zombie.respawn(position, {
+            health: Math.round(typeData.health * healthMultiplier),
+            speed: typeData.speed,
+            damage: typeData.damage,
+            detectionRange: typeData.detectionRange,
+            fieldOfView: typeData.fieldOfView,
+            hitZones: typeData.hitZones,
+            crawlThreshold: typeData.crawlThreshold,
+            type: typeData.id
+        });
+        
+        // First activation registers the zombie; recycled ones stay registered
+        if (!zombie.id) {
+            this.engine.entityManager.addEntity(zombie);
+        }
+        
+        this.enemies.push(zombie);
+        return zombie;
     }
     
     /**
@@ -326,19 +398,19 @@ export class EnemyManager {
             const angle = Math.random() * Math.PI * 2;
             const distanceFromCenter = Math.random() * area.radius;
             
-            return new Vector3(
+            return this.placeOnGround(new Vector3(
                 area.center.x + Math.cos(angle) * distanceFromCenter,
                 area.center.y,
                 area.center.z + Math.sin(angle) * distanceFromCenter
-            );
+            ));
         } 
         else if (area.type === 'rectangle') {
             // Get random position inside rectangle
-            return new Vector3(
+            return this.placeOnGround(new Vector3(
                 area.center.x + (Math.random() * 2 - 1) * area.size.x / 2,
                 area.center.y,
                 area.center.z + (Math.random() * 2 - 1) * area.size.z / 2
-            );
+            ));
         }
         
         // Fallback to default position
@@ -354,22 +426,49 @@ export class EnemyManager {
         const angle = Math.random() * Math.PI * 2;
         const distance = 30 + Math.random() * 50; // Between 30-80 units away
         
-        return new Vector3(
+        return this.placeOnGround(new Vector3(
             playerPosition.x + Math.cos(angle) * distance,
-            playerPosition.y,
+            0,
             playerPosition.z + Math.sin(angle) * distance
-        );
+        ));
+    }
+    
+    /**
+     * Lift a spawn position onto the terrain surface
+     * @param {Vector3} position - Position whose Y is a height above the ground
+     * @returns {Vector3} - The same position, moved onto the ground
+     */
+    placeOnGround(position) {
+        position.y += this.engine.physics.getGroundHeight(position.x, position.z);
+        return position;
     }
     
     /**
      * Get a random enemy type based on weights
+     * @param {Object|null} weightOverrides - Optional weights keyed by type id
      * @returns {Object} - Enemy type definition
      */
-    getRandomEnemyType() {
+    getRandomEnemyType(weightOverrides = null) {
+        const getWeight = type => {
+            if (weightOverrides) {
+                return weightOverrides[type.id] || 0;
+            }
+            return type.weight;
+        };
+        
         // Get total weight
         let totalWeight = 0;
         for (const type of this.enemyTypes.values()) {
-            totalWeight += type.weight;
+            totalWeight += getWeight(type);
+        }
+        
+        // A wave naming no known type, or weighting them all at 0, uses the base weights instead
+        if (weightOverrides && totalWeight <= 0) {
+            if (!this.invalidTypeWeights.has(weightOverrides)) {
+                this.invalidTypeWeights.add(weightOverrides);
+                console.warn('Wave typeWeights select no known enemy type, using base type weights:', weightOverrides);
+            }
+            return this.getRandomEnemyType();
         }
         
         // Select type based on weight
@@ -377,8 +476,8 @@ export class EnemyManager {
         let currentWeight = 0;
         
         for (const type of this.enemyTypes.values()) {
-            currentWeight += type.weight;
-            if (randomValue <= currentWeight) {
+            currentWeight += getWeight(type);
+            if (totalWeight > 0 && randomValue <= currentWeight) {
                 return type;
             }
         }
@@ -387,26 +486,64 @@ export class EnemyManager {
         return this.enemyTypes.values().next().value;
     }
     
+    /**
+     * Create a zombie configured from an enemy type definition
+     * @param {Vector3} position - Spawn position
+     * @param {Object} typeData - Enemy type definition
+     * @returns {Zombie} - New, uninitialized zombie
+     */
+    createZombie(position, typeData) {
+        const zombie = new Zombie(this.engine, position, {
+            health: typeData.health,
+            speed: typeData.speed,
+            damage: typeData.damage,
+            detectionRange: typeData.detectionRange,
+            fieldOfView: typeData.fieldOfView,
+            hitZones: typeData.hitZones,
+            crawlThreshold: typeData.crawlThreshold,
+            type: typeData.id
+        });
+        
+        // Relay hit events to manager-level listeners
+        zombie.onHit(event => {
+            for (const handler of this.zombieHitHandlers) {
+                handler(event);
+            }
+        });
+        
+        return zombie;
+    }
+    
+    /**
+     * Register a handler called whenever any zombie is hit
+     * @param {Function} handler - Receives { zombie, zone, damage, point, killed }
+     */
+    onZombieHit(handler) {
+        this.zombieHitHandlers.push(handler);
+    }
+    
     async spawnZombie(position, typeId = 'standard') {
         try {
             // Get type definition
             const typeData = this.enemyTypes.get(typeId) || this.enemyTypes.get('standard');
             
-            // Create zombie with type properties
-            const zombie = new Zombie(this.engine, position, {
-                health: typeData.health,
-                speed: typeData.speed,
-                damage: typeData.damage,
-                detectionRange: typeData.detectionRange,
-                type: typeData.id
-            });
+            // Reuse a pooled zombie, growing the pool up to the enemy cap
+            let zombie = this.pool.acquire();
             
-            // Initialize zombie
-            await zombie.init(this.engine);
+            if (!zombie) {
+                if (this.pool.size >= this.config.maxEnemies) {
+                    console.warn("Zombie pool exhausted - cannot spawn");
+                    return null;
+                }
+                
+                // Grow the pool, then take the new zombie straight back out
+                const newZombie = this.createZombie(position, typeData);
+                await newZombie.init(this.engine);
+                this.pool.add(newZombie);
+                zombie = this.pool.acquire();
+            }
             
-            // Add to entity manager and enemies list
-            this.engine.entityManager.addEntity(zombie);
-            this.enemies.push(zombie);
+            this.placeZombie(zombie, position, typeData);
             
             console.log(`Spawned ${typeData.id} zombie at ${position.x}, ${position.y}, ${position.z}`);
             return zombie;
@@ -417,12 +554,21 @@ export class EnemyManager {
     }
     
     clear() {
-        // Remove all enemies
-        for (const enemy of this.enemies) {
-            this.engine.entityManager.removeEntity(enemy);
+        // Remove every zombie the pool owns, in play or not
+        const zombies = this.pool.clear();
+        
+        for (const zombie of zombies) {
+            if (zombie.id) {
+                this.engine.entityManager.removeEntity(zombie);
+            } else {
+                zombie.destroy();
+            }
         }
+        
         this.enemies = [];
-        this.preloadedZombies = [];
+        this.corpses = [];
         this.preloadComplete = false;
+        this.waves.reset();
+        this.flowField.clear();
     }
 }
\ No newline at end of file
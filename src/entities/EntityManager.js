@@ -1,5 +1,6 @@
 // src/entities/EntityManager.js
 import { Vector3 } from 'three';
+import { SpatialHash } from '../engine/SpatialHash.js';
 
 export class EntityManager {
     constructor(engine) {
@@ -13,6 +14,10 @@ export class EntityManager {
         
         // Entity ID counter
         this.nextEntityId = 1;
+        
+        // Grid of entity positions for neighbor queries, kept up to date each update
+        this.spatialHash = new SpatialHash(4);
+        this.neighborResults = [];
     }
     
     /**
@@ -44,6 +49,7 @@ export class EntityManager {
         
         // Add entity's 3D object to scene if it has one
         if (entity.object) {
+            entity.object.userData.entity = entity;
             this.engine.renderer.scene.add(entity.object);
         }
         
@@ -69,6 +75,7 @@ export class EntityManager {
         
         // Remove from main array
         this.entities.splice(index, 1);
+        this.spatialHash.remove(entity);
         
         // Remove from type mapping
         if (entity.type && this.entitiesByType.has(entity.type)) {
@@ -115,6 +122,23 @@ export class EntityManager {
         return this.entities.find(e => e.id === id) || null;
     }
     
+    /**
+     * Find the entity that owns a 3D object
+     * @param {Object3D} object - Object or any of its descendants
+     * @returns {Object|null} - Owning entity or null if not found
+     */
+    getEntityByObject(object) {
+        // Walk up the hierarchy until we reach a tagged root object
+        let current = object;
+        while (current) {
+            if (current.userData && current.userData.entity) {
+                return current.userData.entity;
+            }
+            current = current.parent;
+        }
+        return null;
+    }
+    
     /**
      * Find entities by type
      * @param {string} type - Entity type
@@ -139,11 +163,56 @@ export class EntityManager {
         });
     }
     
+    /**
+     * Find nearby entities using the spatial hash
+     * Positions are as of the start of this frame's update.
+     * @param {Vector3} position - Center position
+     * @param {number} radius - Search radius (XZ plane)
+     * @param {Object} exclude - Entity to leave out, usually the caller
+     * @param {Array} results - Optional array to fill
+     * @returns {Array} - Entities within the radius
+     */
+    getNeighbors(position, radius, exclude = null, results = []) {
+        const candidates = this.spatialHash.query(position.x, position.z, radius, this.neighborResults);
+        const radiusSq = radius * radius;
+        
+        for (const entity of candidates) {
+            if (entity === exclude) continue;
+            
+            const dx = entity.position.x - position.x;
+            const dz = entity.position.z - position.z;
+            
+            if (dx * dx + dz * dz <= radiusSq) {
+                results.push(entity);
+            }
+        }
+        
+        candidates.length = 0;
+        return results;
+    }
+    
+    /**
+     * Bring the spatial hash up to date with entity positions - entities only change cells when they cross into new ones
+     */
+    updateSpatialHash() {
+        for (const entity of this.entities) {
+            if (entity.enabled === false || !entity.position) {
+                this.spatialHash.remove(entity);
+                continue;
+            }
+            
+            this.spatialHash.update(entity, entity.position.x, entity.position.z);
+        }
+    }
+    
     /**
      * Update all entities
      * @param {number} deltaTime - Time since last update
      */
     update(deltaTime) {
+        // Index positions so entities can query their neighbors
+        this.updateSpatialHash();
+        
         // Update each entity if it has an update method
         for (let i = 0; i < this.entities.length; i++) {
             const entity = this.entities[i];
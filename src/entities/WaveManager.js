@@ -0,0 +1,234 @@
+// src/entities/WaveManager.js
+
+/**
+ * Round-based wave controller for the enemy manager
+ */
+export class WaveManager {
+    constructor(enemyManager) {
+        this.enemyManager = enemyManager;
+        this.engine = enemyManager.engine;
+        
+        // Wave table - later rounds reuse the last entry with scaling applied
+        this.waves = [
+            { count: 10, maxConcurrent: 10, healthMultiplier: 1.0, intermission: 10, spawnInterval: 1.0 }
+        ];
+        
+        // Per-round growth once we run past the end of the wave table
+        this.scaling = {
+            count: 1.2,
+            health: 1.1
+        };
+        
+        // Round state: 'waiting', 'active' or 'intermission'
+        this.state = 'waiting';
+        this.round = 0;
+        this.currentWave = null;
+        this.zombiesSpawned = 0;
+        this.zombiesKilled = 0;
+        this.spawnTimer = 0;
+        this.intermissionTimer = 0;
+        
+        // Event handlers
+        this.roundStartHandlers = [];
+        this.roundEndHandlers = [];
+        
+        // HUD element
+        this.roundCounter = document.getElementById('round-counter');
+    }
+    
+    /**
+     * Configure waves from map data
+     * @param {Object} wavesData - Wave configuration from map data
+     */
+    configure(wavesData) {
+        if (!wavesData) return;
+        
+        if (wavesData.rounds && wavesData.rounds.length > 0) {
+            this.waves = wavesData.rounds.map(wave => ({
+                count: wave.count || 10,
+                maxConcurrent: wave.maxConcurrent || wave.count || 10,
+                healthMultiplier: wave.healthMultiplier || 1.0,
+                intermission: wave.intermission !== undefined ? wave.intermission : 10,
+                spawnInterval: wave.spawnInterval !== undefined ? wave.spawnInterval : 1.0,
+                typeWeights: wave.typeWeights || null
+            }));
+        }
+        
+        if (wavesData.scaling) {
+            this.scaling = {
+                ...this.scaling,
+                ...wavesData.scaling
+            };
+        }
+        
+        console.log(`Configured ${this.waves.length} waves`);
+    }
+    
+    /**
+     * Get the wave definition for a round, scaling past the end of the table
+     * @param {number} round - Round number (1-based)
+     * @returns {Object} - Wave definition
+     */
+    getWaveDefinition(round) {
+        const index = Math.min(round - 1, this.waves.length - 1);
+        const base = this.waves[index];
+        const extraRounds = round - 1 - index;
+        
+        if (extraRounds <= 0) {
+            return { ...base };
+        }
+        
+        const count = Math.round(base.count * Math.pow(this.scaling.count, extraRounds));
+        
+        return {
+            ...base,
+            count,
+            maxConcurrent: Math.max(base.maxConcurrent, Math.round(base.maxConcurrent * Math.pow(this.scaling.count, extraRounds))),
+            healthMultiplier: base.healthMultiplier * Math.pow(this.scaling.health, extraRounds)
+        };
+    }
+    
+    /**
+     * Start the first round
+     */
+    start() {
+        this.startRound(1);
+    }
+    
+    /**
+     * Start a specific round
+     * @param {number} round - Round number
+     */
+    startRound(round) {
+        this.round = round;
+        this.currentWave = this.getWaveDefinition(round);
+        this.zombiesSpawned = 0;
+        this.zombiesKilled = 0;
+        this.spawnTimer = 0;
+        this.state = 'active';
+        
+        console.log(`Round ${round} started: ${this.currentWave.count} zombies`);
+        
+        this.updateRoundUI();
+        
+        for (const handler of this.roundStartHandlers) {
+            handler(round, this.currentWave);
+        }
+    }
+    
+    /**
+     * End the current round and begin the intermission
+     */
+    endRound() {
+        this.state = 'intermission';
+        this.intermissionTimer = this.currentWave.intermission;
+        
+        console.log(`Round ${this.round} complete`);
+        
+        this.updateRoundUI();
+        
+        for (const handler of this.roundEndHandlers) {
+            handler(this.round, this.currentWave);
+        }
+    }
+    
+    /**
+     * Update wave spawning and round transitions
+     * @param {number} deltaTime - Time since last update
+     */
+    update(deltaTime) {
+        if (this.state === 'intermission') {
+            this.intermissionTimer -= deltaTime;
+            
+            if (this.intermissionTimer <= 0) {
+                this.startRound(this.round + 1);
+            }
+            return;
+        }
+        
+        if (this.state !== 'active') return;
+        
+        // Spawn zombies at the wave's pace, respecting the concurrent cap
+        this.spawnTimer -= deltaTime;
+        
+        const maxConcurrent = Math.min(this.currentWave.maxConcurrent, this.enemyManager.config.maxEnemies);
+        
+        while (this.spawnTimer <= 0 &&
+               this.zombiesSpawned < this.currentWave.count &&
+               this.enemyManager.enemies.length < maxConcurrent) {
+            const zombie = this.enemyManager.activateZombie(
+                this.currentWave.typeWeights,
+                this.currentWave.healthMultiplier
+            );
+            
+            // Pool exhausted - wait for corpses to be recycled
+            if (!zombie) break;
+            
+            this.zombiesSpawned++;
+            this.spawnTimer += this.currentWave.spawnInterval;
+        }
+        
+        // Don't bank spawn time while capped
+        if (this.spawnTimer < 0) {
+            this.spawnTimer = 0;
+        }
+    }
+    
+    /**
+     * Record a zombie kill for the current round
+     */
+    onZombieKilled() {
+        if (this.state !== 'active') return;
+        
+        this.zombiesKilled++;
+        this.updateRoundUI();
+        
+        if (this.zombiesKilled >= this.currentWave.count) {
+            this.endRound();
+        }
+    }
+    
+    /**
+     * Register a handler called when a round starts
+     * @param {Function} handler - Receives (round, wave)
+     */
+    onRoundStart(handler) {
+        this.roundStartHandlers.push(handler);
+    }
+    
+    /**
+     * Register a handler called when a round ends
+     * @param {Function} handler - Receives (round, wave)
+     */
+    onRoundEnd(handler) {
+        this.roundEndHandlers.push(handler);
+    }
+    
+    /**
+     * Update the round HUD readout
+     */
+    updateRoundUI() {
+        if (!this.roundCounter) return;
+        
+        if (this.state === 'intermission') {
+            this.roundCounter.textContent = `Round ${this.round} complete`;
+        } else if (this.state === 'active') {
+            const remaining = this.currentWave.count - this.zombiesKilled;
+            this.roundCounter.textContent = `Round ${this.round} - ${remaining} left`;
+        } else {
+            this.roundCounter.textContent = '';
+        }
+    }
+    
+    /**
+     * Reset to the pre-game state
+     */
+    reset() {
+        this.state = 'waiting';
+        this.round = 0;
+        this.currentWave = null;
+        this.zombiesSpawned = 0;
+        this.zombiesKilled = 0;
+        this.updateRoundUI();
+    }
+}
\ No newline at end of file
@@ -6,30 +6,39 @@ import {
 } from 'three';
 import { clone as skeletonClone } from 'three/addons/utils/SkeletonUtils.js';
 import { PhysicsBody } from '../physics/PhysicsBody.js';
+import { AnimationEvents } from './AnimationEvents.js';
 
 // Import Three.js constants for animation
 const LoopOnce = 2200; // THREE.LoopOnce
 const LoopRepeat = 2201; // THREE.LoopRepeat
 
+// Events by clip, at normalized times - 'hit' is when an attack connects
+const ZOMBIE_ANIMATION_EVENTS = {
+    attack: [{ name: 'hit', time: 0.4 }],
+    biting: [{ name: 'hit', time: 0.5 }],
+    neckbite: [{ name: 'hit', time: 0.55 }]
+};
+
 export class Zombie {
 // src/entities/Zombie.js (modified constructor to accept properties)
     constructor(engine, position = new Vector3(0, 0, 0), properties = {}) {
         // Core properties
         this.engine = engine;
         this.type = 'zombie';
-        this.zombieType = properties.type || 'standard';
         this.id = null; // Will be assigned by EntityManager
         this.position = position.clone();
         this.rotation = new Euler(0, 0, 0);
         this.quaternion = new Quaternion();
         this.enabled = true;
         this.isAlive = true;
+        this.isInitialized = false;
         
         // Physics body implementation
         this.physicsBody = new PhysicsBody({
             position: this.position.clone(),
             mass: 70,
             radius: 0.5,
+            height: 1.8, // Capsule, so tall zombies aren't modelled as a ball
             restitution: 0.2,
             friction: 0.5
         });
@@ -40,38 +49,95 @@ export class Zombie {
         this.timeInCurrentState = 0;
         this.timeSinceSpawn = 0;
         
-        // Movement properties - can be overridden by properties
-        this.speed = { 
-            walk: properties.speed ? properties.speed * 0.6 : 2.0, 
-            run: properties.speed || 3.0 
-        };
+        // Movement properties
         this.currentSpeed = 0;
         this.moveDirection = new Vector3();
         this.turnSpeed = 4.0;
         
         // Player tracking
         this.canSeePlayer = false;
-        this.detectionRange = properties.detectionRange || 15;
         this.updatePerceptionTime = 0;
         this.perceptionUpdateRate = 0.2;
         this.lastKnownPlayerPosition = null;
+        this.proximityRange = 2.0; // Sensed without needing to be in view
+        this.eyeHeight = 1.1; // Above body centre
+        this.targetHeight = 1.0; // Aim sight lines at the player's chest
+        this.searchReachDistance = 1.0; // Give up searching once this close to the last sighting
+        this.searchDuration = 8.0; // Seconds to search before giving up
+        this.timeSinceSeenPlayer = 0;
+        
+        // Hearing
+        this.hearingMultiplier = 1.0; // Scales the loudness radius of noises we hear
+        this.investigateTarget = null;
+        this.investigateLingerTime = 3.0; // Seconds spent looking around at the noise
+        this.investigateLingerTimer = 0;
+        this.investigateTimeout = 15.0; // Give up walking to a noise after this long
+        
+        // Crowd steering
+        this.neighborRadius = 2.5; // Range for alignment with nearby zombies
+        this.separationRadius = 1.2; // Range at which zombies push apart
+        this.separationWeight = 1.5;
+        this.alignmentWeight = 0.3;
+        this.neighbors = [];
+        this.separationForce = new Vector3();
+        this.alignmentForce = new Vector3();
+        
+        // Pathfinding
+        this.path = null;
+        this.pathIndex = 0;
+        this.pathGoal = new Vector3();
+        this.repathTimer = 0;
+        this.repathInterval = 0.5; // Seconds between path refreshes
+        this.waypointReachDistance = 0.6;
+        this.flowDirection = new Vector3();
+        this.chaseTarget = new Vector3();
         
         // Combat properties
-        this.health = properties.health || 100;
-        this.maxHealth = properties.health || 100;
         this.attackRange = 1.8;
         this.attackCooldown = 1.2;
-        this.attackDamage = properties.damage || 20;
         this.lastAttackTime = 0;
+        this.attackAnimations = ['attack', 'biting', 'neckbite']; // One is picked at random per attack
+        this.isAttacking = false;
+        this.attackAction = null;
+        
+        // Attack timing when no attack clip is loaded
+        this.attackHitTime = 0.5; // seconds
+        this.attackDuration = 1.2; // seconds
+        this.attackTimer = 0;
+        
+        // Death tracking - pooled once the death animation has played out
+        this.deathTime = 0;
+        this.deathAction = null;
+        this.deathAnimationFinished = false;
+        this.maxDeathDuration = 5.0; // Fallback when no death clip finishes
+        
+        // Leg damage tracking for crippling
+        this.crawlSpeedMultiplier = 0.4;
+        this.legDamage = 0;
+        this.isCrawling = false;
+        
+        // Groans at random intervals, staggered so a horde doesn't groan in unison
+        this.groanMinInterval = 4.0; // seconds
+        this.groanMaxInterval = 10.0; // seconds
+        this.chaseGroanMultiplier = 0.5; // Groan more often while chasing
+        this.groanTimer = Math.random() * this.groanMaxInterval;
+        
+        // Hit event handlers
+        this.hitHandlers = [];
         
         // Animation properties
         this.object = null;
         this.mixer = null;
         this.animations = {};
         this.currentAnimation = null;
+        this.currentAnimationName = null;
         this.animationSpeed = 1.0;
         this.skeletonHelper = null;
         
+        // Named events in clips, fired as the mixer plays through them
+        this.animationEvents = new AnimationEvents(ZOMBIE_ANIMATION_EVENTS);
+        this.animationEvents.onEvent((name, action) => this.onAnimationEvent(name, action));
+        
         // Performance optimization properties
         this.updatePriority = 'high'; 
         this.skipAnimationWhenFar = false;
@@ -82,17 +148,60 @@ export class Zombie {
         
         // Bone references
         this.bones = {};
+        this.hitZoneBones = [];
         
         // Debug properties
         this.debugMode = false;
         
+        // Apply type-specific properties (speed, health, damage, etc.)
+        this.applyProperties(properties);
+        
         console.log(`${this.zombieType} zombie created at`, position.x, position.y, position.z);
     }
     
+    /**
+     * Apply type-specific properties
+     * @param {Object} properties - Zombie type properties
+     */
+    applyProperties(properties = {}) {
+        this.zombieType = properties.type || 'standard';
+        
+        // Movement properties - can be overridden by properties
+        this.speed = { 
+            walk: properties.speed ? properties.speed * 0.6 : 2.0, 
+            run: properties.speed || 3.0 
+        };
+        
+        // Player tracking
+        this.detectionRange = properties.detectionRange || 15;
+        this.fieldOfView = properties.fieldOfView || 120; // Degrees
+        
+        // Combat properties
+        this.health = properties.health || 100;
+        this.maxHealth = properties.health || 100;
+        this.attackDamage = properties.damage || 20;
+        
+        // Hit zone damage multipliers - can be overridden per zombie type
+        this.hitZoneMultipliers = {
+            head: 2.5,
+            torso: 1.0,
+            arm: 0.75,
+            leg: 0.6,
+            ...(properties.hitZones || {})
+        };
+        
+        // Leg damage cripples the zombie once it passes this fraction of max health
+        this.crawlThreshold = properties.crawlThreshold !== undefined ? properties.crawlThreshold : 0.4;
+    }
+    
     async init(engine) {
         // Store engine reference if passed
         if (engine) this.engine = engine;
         
+        // Preloaded zombies are already initialized when added to the entity manager
+        if (this.isInitialized) return this;
+        this.isInitialized = true;
+        
         console.log("Zombie: Initializing...");
         
         // Add physics body to world
@@ -149,8 +258,12 @@ export class Zombie {
             this.object.scale.set(0.01, 0.01, 0.01);
             this.object.position.copy(this.position);
             
+            // Tag model so weapon hits resolve back to this zombie
+            this.object.userData.entity = this;
+            
             // Setup animation mixer
             this.mixer = new AnimationMixer(this.object);
+            this.mixer.addEventListener('finished', event => this.onAnimationFinished(event));
             
             // Map animations from asset manager
             this.mapAnimations();
@@ -180,8 +293,12 @@ export class Zombie {
             'walk': 'walk',
             'run': 'run',
             'attack': 'attack',
+            'biting': 'biting',
+            'neckbite': 'neckbite',
             'death': 'death',
-            'scream': 'scream'
+            'scream': 'scream',
+            'crawl': 'crawl',
+            'runningcrawl': 'runningcrawl'
         };
         
         // Get animations from asset manager
@@ -195,6 +312,7 @@ export class Zombie {
     
     findBones() {
         this.bones = {};
+        this.hitZoneBones = [];
         
         // Find important bones by name
         this.object.traverse(node => {
@@ -204,6 +322,9 @@ export class Zombie {
                 // Store all bones by name
                 this.bones[node.name] = node;
                 
+                // Remember which hit zone each bone belongs to
+                this.hitZoneBones.push({ bone: node, zone: this.classifyBone(name) });
+                
                 // Also categorize key bones
                 if (name.includes('head')) {
                     this.bones.head = node;
@@ -222,6 +343,57 @@ export class Zombie {
         });
     }
     
+    /**
+     * Classify a bone into a hit zone by name
+     * @param {string} name - Lowercase bone name
+     * @returns {string} - 'head', 'torso', 'arm' or 'leg'
+     */
+    classifyBone(name) {
+        if (name.includes('head') || name.includes('neck')) {
+            return 'head';
+        }
+        if (name.includes('arm') || name.includes('hand') || name.includes('shoulder')) {
+            return 'arm';
+        }
+        if (name.includes('leg') || name.includes('foot') || name.includes('toe') ||
+            name.includes('thigh') || name.includes('knee')) {
+            return 'leg';
+        }
+        return 'torso';
+    }
+    
+    /**
+     * Determine which hit zone a world-space point falls in
+     * @param {Vector3} point - Hit point in world space
+     * @returns {string} - Hit zone name
+     */
+    getHitZone(point) {
+        // Use the nearest bone when we have a skeleton
+        if (this.hitZoneBones.length > 0) {
+            const bonePosition = new Vector3();
+            let closestZone = 'torso';
+            let closestDistance = Infinity;
+            
+            for (const { bone, zone } of this.hitZoneBones) {
+                bone.getWorldPosition(bonePosition);
+                const distance = bonePosition.distanceToSquared(point);
+                
+                if (distance < closestDistance) {
+                    closestDistance = distance;
+                    closestZone = zone;
+                }
+            }
+            
+            return closestZone;
+        }
+        
+        // Debug mesh fallback - classify by height relative to the zombie origin
+        const height = point.y - this.position.y;
+        if (height > 1.0) return 'head';
+        if (height < 0.0) return 'leg';
+        return 'torso';
+    }
+    
     createDebugMesh() {
         // Create simple colored mesh as fallback
         const bodyGeo = new BoxGeometry(0.5, 1.0, 0.3);
@@ -232,6 +404,7 @@ export class Zombie {
         
         this.object = new Group();
         this.object.position.copy(this.position);
+        this.object.userData.entity = this;
         
         // Body parts
         const body = new Mesh(bodyGeo, material);
@@ -267,19 +440,34 @@ export class Zombie {
         // Skip if no mixer
         if (!this.mixer) return;
         
+        // Remember the requested animation for state checks
+        this.currentAnimationName = name;
+        
         // Process animation name
         let actualName = name;
         
+        // Crippled zombies swap locomotion for crawl animations
+        if (this.isCrawling && this.animations['crawl']) {
+            if (name === 'idle') {
+                actualName = 'crawl';
+                speedFactor = 0.2;
+            } else if (name === 'walk' || name === 'chase') {
+                actualName = 'crawl';
+            } else if (name === 'run') {
+                actualName = this.animations['runningcrawl'] ? 'runningcrawl' : 'crawl';
+            }
+        }
+        
         // Handle missing animations with fallbacks
-        if (name === 'idle' && !this.animations['idle']) {
+        if (actualName === 'idle' && !this.animations['idle']) {
             actualName = 'walk';
             speedFactor = 0.25;
         }
-        else if (name === 'chase' && !this.animations['chase']) {
+        else if (actualName === 'chase' && !this.animations['chase']) {
             actualName = 'walk';
             speedFactor = 1.2;
         }
-        else if (name === 'run' && !this.animations['run']) {
+        else if (actualName === 'run' && !this.animations['run']) {
             actualName = 'walk';
             speedFactor = 1.5;
         }
@@ -309,10 +497,20 @@ export class Zombie {
         action.play();
         
         this.currentAnimation = action;
+        this.animationEvents.watch(action);
     }
     
     update(deltaTime) {
-        if (!this.enabled || !this.isAlive) return;
+        if (!this.enabled) return;
+        
+        // Corpses only play out their death animation
+        if (!this.isAlive) {
+            this.deathTime += deltaTime;
+            if (this.mixer) {
+                this.mixer.update(deltaTime * this.animationSpeed);
+            }
+            return;
+        }
         
         // Update timers
         this.timeSinceSpawn += deltaTime;
@@ -332,9 +530,10 @@ export class Zombie {
             }
         } else {
             // Normal updates for nearby zombies
-            // Update animations
+            // Update animations, then fire any events they passed
             if (this.mixer) {
                 this.mixer.update(deltaTime * this.animationSpeed);
+                this.animationEvents.update();
             }
             
             // Update perception (can see player, etc)
@@ -342,6 +541,8 @@ export class Zombie {
             
             // State machine processing
             this.processStateMachine(deltaTime);
+            
+            this.updateGroan(deltaTime);
         }
         
         // Skip physics for very distant zombies
@@ -361,9 +562,34 @@ export class Zombie {
         }
     }
     
+    /**
+     * Groan now and then
+     * @param {number} deltaTime - Time since last update
+     */
+    updateGroan(deltaTime) {
+        this.groanTimer -= deltaTime;
+        if (this.groanTimer > 0) return;
+        
+        const interval = this.groanMinInterval + Math.random() * (this.groanMaxInterval - this.groanMinInterval);
+        const isChasing = this.state === 'chase' || this.state === 'attack';
+        this.groanTimer = interval * (isChasing ? this.chaseGroanMultiplier : 1);
+        
+        this.playSound('zombie_groan');
+    }
+    
+    /**
+     * Play a sound that follows this zombie
+     * @param {string} id - Sound id
+     */
+    playSound(id) {
+        if (this.engine.audio) {
+            this.engine.audio.play(id, this.position, { follow: this.position });
+        }
+    }
+    
     processStateMachine(deltaTime) {
         // State transitions - can see player should trigger chase
-        if (this.state === 'idle' && this.canSeePlayer) {
+        if ((this.state === 'idle' || this.state === 'investigate') && this.canSeePlayer) {
             this.changeState('chase');
         }
         
@@ -373,6 +599,10 @@ export class Zombie {
                 this.processIdleState(deltaTime);
                 break;
                 
+            case 'investigate':
+                this.processInvestigateState(deltaTime);
+                break;
+                
             case 'chase':
                 this.processChaseState(deltaTime);
                 break;
@@ -395,11 +625,79 @@ export class Zombie {
         }
         
         // Play idle animation
-        if (!this.currentAnimation || this.currentAnimation._clip.name !== 'idle') {
+        if (!this.currentAnimation || this.currentAnimationName !== 'idle') {
             this.playAnimation('idle');
         }
     }
     
+    processInvestigateState(deltaTime) {
+        if (!this.investigateTarget) {
+            this.changeState('idle');
+            return;
+        }
+        
+        const dx = this.investigateTarget.x - this.position.x;
+        const dz = this.investigateTarget.z - this.position.z;
+        const arrived = dx * dx + dz * dz <= this.searchReachDistance * this.searchReachDistance;
+        
+        if (arrived || this.timeInCurrentState > this.investigateTimeout) {
+            // Look around where the noise came from before losing interest
+            if (this.physicsBody) {
+                this.physicsBody.velocity.set(0, this.physicsBody.velocity.y, 0);
+            }
+            
+            if (this.currentAnimationName !== 'idle') {
+                this.playAnimation('idle');
+            }
+            
+            this.investigateLingerTimer += deltaTime;
+            
+            if (Math.random() < 0.02) {
+                this.rotation.y += (Math.random() - 0.5) * 1.5;
+            }
+            
+            if (this.investigateLingerTimer >= this.investigateLingerTime) {
+                this.investigateTarget = null;
+                this.changeState('idle');
+            }
+            return;
+        }
+        
+        // Walk (not run) toward the noise
+        let walkSpeed = this.speed.walk;
+        if (this.isCrawling) {
+            walkSpeed *= this.crawlSpeedMultiplier;
+        }
+        
+        const target = this.getNavigationTarget(this.investigateTarget, deltaTime);
+        this.moveTowards(target, walkSpeed, deltaTime);
+        
+        if (this.currentAnimationName !== 'walk') {
+            this.playAnimation('walk', true);
+        }
+    }
+    
+    /**
+     * React to a noise within hearing range
+     * @param {Object} noise - Noise event { position, loudness, source }
+     */
+    hearNoise(noise) {
+        if (!this.isAlive) return;
+        
+        // Already after the player - noises don't distract
+        if (this.state !== 'idle' && this.state !== 'investigate') return;
+        
+        this.investigateTarget = noise.position.clone();
+        this.investigateLingerTimer = 0;
+        
+        if (this.state === 'investigate') {
+            // Head for the newer noise instead
+            this.clearPath();
+        } else {
+            this.changeState('investigate');
+        }
+    }
+    
     processChaseState(deltaTime) {
         // Get player position
         const player = this.engine.player;
@@ -408,6 +706,9 @@ export class Zombie {
         // Store last known position when visible
         if (this.canSeePlayer) {
             this.lastKnownPlayerPosition = player.position.clone();
+            this.timeSinceSeenPlayer = 0;
+        } else {
+            this.timeSinceSeenPlayer += deltaTime;
         }
         
         // Move toward player
@@ -420,56 +721,42 @@ export class Zombie {
                 return;
             }
             
-            // Calculate move direction
-            const moveDirection = new Vector3()
-                .subVectors(player.position, this.position)
-                .normalize();
-                
-            // Calculate target rotation (only Y axis)
-            const targetRotation = Math.atan2(moveDirection.x, moveDirection.z);
-            
-            // Smooth rotation toward player
-            let currentRotation = this.rotation.y;
-            while (currentRotation > Math.PI) currentRotation -= Math.PI * 2;
-            while (currentRotation < -Math.PI) currentRotation += Math.PI * 2;
-            
-            let targetRotNormalized = targetRotation;
-            while (targetRotNormalized > Math.PI) targetRotNormalized -= Math.PI * 2;
-            while (targetRotNormalized < -Math.PI) targetRotNormalized += Math.PI * 2;
-            
-            // Calculate shortest rotation direction
-            let rotDiff = targetRotNormalized - currentRotation;
-            if (rotDiff > Math.PI) rotDiff -= Math.PI * 2;
-            if (rotDiff < -Math.PI) rotDiff += Math.PI * 2;
+            let target;
             
-            // Apply rotation with turn speed
-            this.rotation.y += rotDiff * Math.min(this.turnSpeed * deltaTime, 1.0);
-            
-            // Get forward vector based on current rotation
-            const forward = new Vector3(
-                Math.sin(this.rotation.y),
-                0,
-                Math.cos(this.rotation.y)
-            );
-            
-            // Set velocity to move forward
-            const chaseSpeed = 3.0; // Adjust speed as needed
+            if (this.canSeePlayer) {
+                // Follow the flow field (or a path) around obstacles toward the player
+                target = this.getChaseTarget(player.position, deltaTime);
+            } else {
+                // Lost sight - search where we last saw them
+                const dx = this.lastKnownPlayerPosition.x - this.position.x;
+                const dz = this.lastKnownPlayerPosition.z - this.position.z;
+                
+                if (dx * dx + dz * dz <= this.searchReachDistance * this.searchReachDistance) {
+                    this.lastKnownPlayerPosition = null;
+                    this.changeState('idle');
+                    return;
+                }
+                
+                target = this.getNavigationTarget(this.lastKnownPlayerPosition, deltaTime);
+            }
             
-            if (this.physicsBody) {
-                this.physicsBody.velocity.x = forward.x * chaseSpeed;
-                this.physicsBody.velocity.z = forward.z * chaseSpeed;
+            let chaseSpeed = 3.0; // Adjust speed as needed
+            if (this.isCrawling) {
+                chaseSpeed *= this.crawlSpeedMultiplier;
             }
             
+            this.moveTowards(target, chaseSpeed, deltaTime);
+            
             // Play walk/run animation
             if (!this.currentAnimation || 
-                (this.currentAnimation._clip.name !== 'walk' && 
-                 this.currentAnimation._clip.name !== 'run')) {
+                (this.currentAnimationName !== 'walk' && 
+                 this.currentAnimationName !== 'run')) {
                 this.playAnimation('walk', true, 1.2);
             }
         }
         
         // If lost track of player for too long, go back to idle
-        if (!this.canSeePlayer && this.timeInCurrentState > 8.0) {
+        if (!this.canSeePlayer && this.timeSinceSeenPlayer > this.searchDuration) {
             this.changeState('idle');
         }
     }
@@ -491,27 +778,260 @@ export class Zombie {
         this.lookAt(player.position);
         
         // Execute attack with cooldown
-        if (this.timeSinceSpawn - this.lastAttackTime > this.attackCooldown) {
-            // Play attack animation
-            this.playAnimation('attack', false);
-            
-            // Deal damage at appropriate time in animation (after 0.5s)
-            setTimeout(() => {
-                if (this.state === 'attack' && player.takeDamage && 
-                    this.position.distanceTo(player.position) <= this.attackRange) {
-                    player.takeDamage(20, this);
-                }
-            }, 500);
+        if (!this.isAttacking) {
+            if (this.timeSinceSpawn - this.lastAttackTime > this.attackCooldown) {
+                this.startAttack();
+            }
+            return;
+        }
+        
+        // The clip's 'hit' event deals damage - return to chase once it has played out
+        if (this.attackAction) {
+            if (!this.attackAction.isRunning()) {
+                this.changeState('chase');
+            }
+            return;
+        }
+        
+        // No attack clip, so time the swing ourselves
+        const previousTime = this.attackTimer;
+        this.attackTimer += deltaTime;
+        
+        if (previousTime < this.attackHitTime && this.attackTimer >= this.attackHitTime) {
+            this.onAttackHit();
+        }
+        
+        if (this.attackTimer >= this.attackDuration) {
+            this.changeState('chase');
+        }
+    }
+    
+    /**
+     * Begin a swing with one of the loaded attack clips
+     */
+    startAttack() {
+        const clips = this.attackAnimations.filter(name => this.animations[name]);
+        
+        this.isAttacking = true;
+        this.attackTimer = 0;
+        this.attackAction = null;
+        this.lastAttackTime = this.timeSinceSpawn;
+        
+        if (clips.length > 0) {
+            this.playAnimation(clips[Math.floor(Math.random() * clips.length)], false);
+            this.attackAction = this.currentAnimation;
+        }
+        
+        this.playSound('zombie_attack');
+    }
+    
+    /**
+     * Handle an event from the animation being played
+     * @param {string} name - Event name
+     * @param {AnimationAction} action - Action the event belongs to
+     */
+    onAnimationEvent(name, action) {
+        if (name === 'hit' && action === this.attackAction) {
+            this.onAttackHit();
+        }
+    }
+    
+    /**
+     * The attack connects - damage the player if they're still in reach
+     */
+    onAttackHit() {
+        const player = this.engine.player;
+        if (this.state !== 'attack' || !this.isAttacking || !player || !player.takeDamage) return;
+        
+        if (this.position.distanceTo(player.position) <= this.attackRange) {
+            player.takeDamage(this.attackDamage, this);
+        }
+    }
+    
+    /**
+     * Get the point to steer toward while chasing the player
+     * @param {Vector3} goal - Player position
+     * @param {number} deltaTime - Time since last update
+     * @returns {Vector3} - Steering target
+     */
+    getChaseTarget(goal, deltaTime) {
+        const enemyManager = this.engine.enemyManager;
+        const flowField = enemyManager ? enemyManager.flowField : null;
+        
+        // Shared flow field is cheapest; close to the goal its cells are too coarse
+        if (flowField && this.position.distanceTo(goal) > flowField.navGrid.cellSize * 1.5) {
+            const direction = flowField.getDirection(this.position, this.flowDirection);
             
-            this.lastAttackTime = this.timeSinceSpawn;
+            if (direction) {
+                return this.chaseTarget.copy(this.position).add(direction);
+            }
+        }
+        
+        // No field here - fall back to our own path, or a straight line
+        return this.getNavigationTarget(goal, deltaTime);
+    }
+    
+    /**
+     * Get the next point to steer toward on the way to a goal
+     * @param {Vector3} goal - Final destination
+     * @param {number} deltaTime - Time since last update
+     * @returns {Vector3} - Current waypoint, or the goal itself
+     */
+    getNavigationTarget(goal, deltaTime) {
+        const navGrid = this.engine.navGrid;
+        if (!navGrid || !navGrid.isBaked) return goal;
+        
+        this.repathTimer -= deltaTime;
+        
+        // Re-path periodically, or straight away if the goal moved off the end of the path
+        if (!this.path || this.repathTimer <= 0 ||
+            this.pathGoal.distanceTo(goal) > navGrid.cellSize * 2) {
+            this.path = navGrid.findPath(this.position, goal);
+            this.pathIndex = 0;
+            this.pathGoal.copy(goal);
             
-            // Return to chase after attack completes
-            setTimeout(() => {
-                if (this.state === 'attack') {
-                    this.changeState('chase');
+            // Jitter so a horde doesn't re-path on the same frame
+            this.repathTimer = this.repathInterval * (0.75 + Math.random() * 0.5);
+        }
+        
+        // No route found - head straight for the goal
+        if (!this.path || this.path.length === 0) return goal;
+        
+        // Skip past waypoints we've reached
+        while (this.pathIndex < this.path.length - 1) {
+            const waypoint = this.path[this.pathIndex];
+            const dx = waypoint.x - this.position.x;
+            const dz = waypoint.z - this.position.z;
+            
+            if (dx * dx + dz * dz > this.waypointReachDistance * this.waypointReachDistance) break;
+            this.pathIndex++;
+        }
+        
+        // The final leg tracks the live goal rather than the stale path end
+        if (this.pathIndex === this.path.length - 1) return goal;
+        
+        return this.path[this.pathIndex];
+    }
+    
+    /**
+     * Turn toward a target and move forward at the given speed
+     * @param {Vector3} target - Position to steer toward
+     * @param {number} speed - Movement speed
+     * @param {number} deltaTime - Time since last update
+     */
+    moveTowards(target, speed, deltaTime) {
+        // Calculate move direction
+        const moveDirection = new Vector3()
+            .subVectors(target, this.position)
+            .setY(0)
+            .normalize();
+        
+        // Spread out from nearby zombies instead of stacking up
+        this.applyCrowdSteering(moveDirection);
+            
+        // Calculate target rotation (only Y axis)
+        const targetRotation = Math.atan2(moveDirection.x, moveDirection.z);
+        
+        // Smooth rotation toward target
+        let currentRotation = this.rotation.y;
+        while (currentRotation > Math.PI) currentRotation -= Math.PI * 2;
+        while (currentRotation < -Math.PI) currentRotation += Math.PI * 2;
+        
+        let targetRotNormalized = targetRotation;
+        while (targetRotNormalized > Math.PI) targetRotNormalized -= Math.PI * 2;
+        while (targetRotNormalized < -Math.PI) targetRotNormalized += Math.PI * 2;
+        
+        // Calculate shortest rotation direction
+        let rotDiff = targetRotNormalized - currentRotation;
+        if (rotDiff > Math.PI) rotDiff -= Math.PI * 2;
+        if (rotDiff < -Math.PI) rotDiff += Math.PI * 2;
+        
+        // Apply rotation with turn speed
+        this.rotation.y += rotDiff * Math.min(this.turnSpeed * deltaTime, 1.0);
+        
+        // Get forward vector based on current rotation
+        const forward = new Vector3(
+            Math.sin(this.rotation.y),
+            0,
+            Math.cos(this.rotation.y)
+        );
+        
+        // Set velocity to move forward
+        if (this.physicsBody) {
+            this.physicsBody.velocity.x = forward.x * speed;
+            this.physicsBody.velocity.z = forward.z * speed;
+        }
+    }
+    
+    /**
+     * Blend separation and alignment from nearby zombies into a heading
+     * @param {Vector3} direction - Desired normalized XZ heading, modified in place
+     */
+    applyCrowdSteering(direction) {
+        const entityManager = this.engine.entityManager;
+        if (!entityManager || !entityManager.getNeighbors) return;
+        
+        this.neighbors.length = 0;
+        entityManager.getNeighbors(this.position, this.neighborRadius, this, this.neighbors);
+        
+        const separation = this.separationForce.set(0, 0, 0);
+        const alignment = this.alignmentForce.set(0, 0, 0);
+        let alignmentCount = 0;
+        
+        for (const other of this.neighbors) {
+            if (other.type !== 'zombie' || !other.isAlive) continue;
+            
+            const dx = this.position.x - other.position.x;
+            const dz = this.position.z - other.position.z;
+            const distance = Math.sqrt(dx * dx + dz * dz);
+            
+            // Push away harder the closer they are
+            if (distance < this.separationRadius) {
+                if (distance > 0.0001) {
+                    const strength = (this.separationRadius - distance) / (this.separationRadius * distance);
+                    separation.x += dx * strength;
+                    separation.z += dz * strength;
+                } else {
+                    // Exactly overlapping - pick a side
+                    separation.x += Math.random() - 0.5;
+                    separation.z += Math.random() - 0.5;
+                }
+            }
+            
+            // Match the heading of zombies moving alongside us
+            if (other.physicsBody) {
+                const vx = other.physicsBody.velocity.x;
+                const vz = other.physicsBody.velocity.z;
+                const speed = Math.sqrt(vx * vx + vz * vz);
+                
+                if (speed > 0.1) {
+                    alignment.x += vx / speed;
+                    alignment.z += vz / speed;
+                    alignmentCount++;
                 }
-            }, 1200);
+            }
+        }
+        
+        if (alignmentCount > 0) {
+            alignment.multiplyScalar(1 / alignmentCount);
         }
+        
+        direction.addScaledVector(separation, this.separationWeight);
+        direction.addScaledVector(alignment, this.alignmentWeight);
+        direction.y = 0;
+        
+        if (direction.lengthSq() > 0.0001) {
+            direction.normalize();
+        }
+    }
+    
+    /**
+     * Drop the current path so the next chase update re-paths
+     */
+    clearPath() {
+        this.path = null;
+        this.pathIndex = 0;
+        this.repathTimer = 0;
     }
     
     // Check if zombie can see player
@@ -532,19 +1052,61 @@ export class Zombie {
             // Check distance to player
             const distanceToPlayer = this.position.distanceTo(player.position);
             
-            // If within detection range, can see player
-            if (distanceToPlayer <= this.detectionRange) {
-                // Simple line of sight check (no obstacles for simplicity)
+            // Must be in range, inside the view cone and not hidden behind geometry
+            if (distanceToPlayer <= this.detectionRange &&
+                this.isInFieldOfView(player.position, distanceToPlayer) &&
+                this.hasLineOfSightTo(player.position)) {
                 this.canSeePlayer = true;
                 
                 // If just spotted player, react
-                if (!previouslyCouldSeePlayer && this.state === 'idle') {
+                if (!previouslyCouldSeePlayer &&
+                    (this.state === 'idle' || this.state === 'investigate')) {
                     this.onPlayerSpotted();
                 }
             }
         }
     }
     
+    /**
+     * Check whether a point falls inside this zombie's view cone
+     * @param {Vector3} targetPos - Point to check
+     * @param {number} distance - Distance to the point
+     * @returns {boolean}
+     */
+    isInFieldOfView(targetPos, distance) {
+        // Anything close enough is sensed regardless of facing
+        if (distance <= this.proximityRange) return true;
+        
+        const dx = targetPos.x - this.position.x;
+        const dz = targetPos.z - this.position.z;
+        const length = Math.sqrt(dx * dx + dz * dz);
+        if (length === 0) return true;
+        
+        // Compare against our facing on the XZ plane
+        const dot = (dx * Math.sin(this.rotation.y) + dz * Math.cos(this.rotation.y)) / length;
+        const halfAngle = (this.fieldOfView * Math.PI / 180) / 2;
+        
+        return dot >= Math.cos(halfAngle);
+    }
+    
+    /**
+     * Raycast from our eyes to a target's chest against static geometry
+     * @param {Vector3} targetPos - Target's base position
+     * @returns {boolean} - True if nothing blocks the view
+     */
+    hasLineOfSightTo(targetPos) {
+        const physics = this.engine.physics;
+        if (!physics || !physics.hasLineOfSight) return true;
+        
+        const eye = this.position.clone();
+        eye.y += this.eyeHeight;
+        
+        const target = targetPos.clone();
+        target.y += this.targetHeight;
+        
+        return physics.hasLineOfSight(eye, target);
+    }
+    
     onPlayerSpotted() {
         // React to seeing player - change state to chase
         this.changeState('chase');
@@ -574,6 +1136,11 @@ export class Zombie {
         const oldState = this.state;
         this.state = newState;
         this.timeInCurrentState = 0;
+        this.clearPath();
+        
+        // Leaving mid-swing cancels the attack
+        this.isAttacking = false;
+        this.attackAction = null;
         
         console.log(`Zombie ${this.id} state: ${oldState} -> ${newState}`);
         
@@ -586,12 +1153,19 @@ export class Zombie {
                 }
                 break;
                 
+            case 'investigate':
+                this.investigateLingerTimer = 0;
+                this.playAnimation('walk', true);
+                break;
+                
             case 'chase':
+                this.timeSinceSeenPlayer = 0;
                 this.playAnimation('walk', true, 1.2);
                 break;
                 
             case 'attack':
-                this.playAnimation('attack', false);
+                // The swing starts once the attack cooldown allows
+                this.playAnimation('idle', true);
                 if (this.physicsBody) {
                     this.physicsBody.velocity.set(0, this.physicsBody.velocity.y, 0);
                 }
@@ -599,7 +1173,11 @@ export class Zombie {
                 
             case 'death':
                 this.playAnimation('death', false);
+                this.deathAction = this.currentAnimation;
+                this.deathTime = 0;
+                this.deathAnimationFinished = false;
                 this.isAlive = false;
+                this.playSound('zombie_death');
                 if (this.physicsBody) {
                     this.physicsBody.velocity.set(0, 0, 0);
                 }
@@ -608,15 +1186,155 @@ export class Zombie {
     }
     
     // Handle taking damage
-    takeDamage(amount) {
-        this.health -= amount;
+    takeDamage(amount, hitInfo = null) {
+        // Corpses don't take further damage
+        if (!this.isAlive) return;
+        
+        // Work out where we were hit and scale damage accordingly
+        const zone = hitInfo && hitInfo.point ? this.getHitZone(hitInfo.point) : 'torso';
+        const multiplier = this.hitZoneMultipliers[zone] !== undefined ? this.hitZoneMultipliers[zone] : 1.0;
+        const damage = amount * multiplier;
+        
+        this.health -= damage;
+        
+        // Accumulate leg damage and cripple once past the threshold
+        if (zone === 'leg') {
+            this.legDamage += damage;
+            
+            if (!this.isCrawling && this.health > 0 &&
+                this.legDamage >= this.maxHealth * this.crawlThreshold) {
+                this.startCrawling();
+            }
+        }
+        
+        const killed = this.health <= 0;
+        
+        // Notify listeners
+        const event = {
+            zombie: this,
+            zone,
+            damage,
+            point: hitInfo ? hitInfo.point : null,
+            killed
+        };
+        
+        for (const handler of this.hitHandlers) {
+            handler(event);
+        }
         
         // Play hit reaction
-        if (this.health <= 0 && this.isAlive) {
+        if (killed) {
             this.changeState('death');
         }
     }
     
+    /**
+     * Bring a pooled zombie back into play
+     * @param {Vector3} position - Spawn position
+     * @param {Object} properties - Zombie type properties
+     */
+    respawn(position, properties = {}) {
+        this.applyProperties(properties);
+        
+        // Reset combat and perception state
+        this.isAlive = true;
+        this.legDamage = 0;
+        this.isCrawling = false;
+        this.canSeePlayer = false;
+        this.lastKnownPlayerPosition = null;
+        this.timeSinceSeenPlayer = 0;
+        this.investigateTarget = null;
+        this.lastAttackTime = 0;
+        this.timeSinceSpawn = 0;
+        this.deathTime = 0;
+        this.deathAction = null;
+        this.deathAnimationFinished = false;
+        this.groanTimer = Math.random() * this.groanMaxInterval;
+        
+        // Move to spawn point
+        this.position.copy(position);
+        this.rotation.set(0, Math.random() * Math.PI * 2, 0);
+        
+        if (this.physicsBody) {
+            this.physicsBody.reset(position);
+            
+            // Body is removed from the world while pooled
+            if (this.engine.physics && !this.engine.physics.bodies.includes(this.physicsBody)) {
+                this.engine.physics.addBody(this.physicsBody);
+            }
+        }
+        
+        if (this.object) {
+            this.object.position.copy(position);
+            this.object.visible = true;
+        }
+        
+        // Force a fresh idle state
+        this.state = null;
+        this.changeState('idle');
+        
+        this.enabled = true;
+    }
+    
+    /**
+     * Take this zombie out of play so it can be pooled
+     */
+    deactivate() {
+        this.enabled = false;
+        
+        if (this.object) {
+            this.object.visible = false;
+        }
+        
+        // Stop all clips so the next spawn starts from a clean pose
+        if (this.mixer) {
+            this.mixer.stopAllAction();
+        }
+        this.currentAnimation = null;
+        this.currentAnimationName = null;
+        
+        // Pooled zombies shouldn't collide with anything
+        if (this.physicsBody && this.engine.physics) {
+            this.physicsBody.reset();
+            this.engine.physics.removeBody(this.physicsBody);
+        }
+    }
+    
+    // Mixer callback for one-shot animations
+    onAnimationFinished(event) {
+        if (this.state === 'death' && event.action === this.deathAction) {
+            this.deathAnimationFinished = true;
+        }
+    }
+    
+    // True once the corpse is ready to be returned to the pool
+    isDeathComplete() {
+        if (this.isAlive) return false;
+        return this.deathAnimationFinished || this.deathTime >= this.maxDeathDuration;
+    }
+    
+    // Register a handler called whenever this zombie is hit
+    onHit(handler) {
+        this.hitHandlers.push(handler);
+    }
+    
+    // Switch to crawling locomotion after heavy leg damage
+    startCrawling() {
+        if (this.isCrawling) return;
+        
+        this.isCrawling = true;
+        console.log(`Zombie ${this.id} is crawling`);
+        
+        // Restart current locomotion so the crawl clip takes over
+        if (this.state === 'idle') {
+            this.playAnimation('idle', true);
+        } else if (this.state === 'chase') {
+            this.playAnimation('walk', true, 1.2);
+        } else if (this.state === 'investigate' && this.currentAnimationName) {
+            this.playAnimation(this.currentAnimationName, true);
+        }
+    }
+    
     // Required method for EntityManager
     destroy() {
         // Remove from scene
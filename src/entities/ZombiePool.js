@@ -0,0 +1,70 @@
+// src/entities/ZombiePool.js
+
+/**
+ * Pool of initialized zombies that can be recycled without re-cloning models
+ */
+export class ZombiePool {
+    constructor() {
+        // Every zombie owned by the pool, in play or not
+        this.zombies = [];
+        
+        // Zombies ready to be spawned
+        this.available = [];
+    }
+    
+    /**
+     * Total number of zombies owned by the pool
+     * @returns {number}
+     */
+    get size() {
+        return this.zombies.length;
+    }
+    
+    /**
+     * Number of zombies ready to be spawned
+     * @returns {number}
+     */
+    get availableCount() {
+        return this.available.length;
+    }
+    
+    /**
+     * Add a freshly created zombie to the pool
+     * @param {Zombie} zombie - Initialized zombie
+     */
+    add(zombie) {
+        zombie.deactivate();
+        this.zombies.push(zombie);
+        this.available.push(zombie);
+    }
+    
+    /**
+     * Take a zombie out of the pool
+     * @returns {Zombie|null} - Pooled zombie or null if none are available
+     */
+    acquire() {
+        return this.available.pop() || null;
+    }
+    
+    /**
+     * Return a zombie to the pool
+     * @param {Zombie} zombie - Zombie to recycle
+     */
+    release(zombie) {
+        if (this.available.includes(zombie)) return;
+        
+        zombie.deactivate();
+        this.available.push(zombie);
+    }
+    
+    /**
+     * Forget all pooled zombies
+     * @returns {Array<Zombie>} - Zombies that were owned by the pool
+     */
+    clear() {
+        const zombies = this.zombies;
+        this.zombies = [];
+        this.available = [];
+        return zombies;
+    }
+}
\ No newline at end of file
@@ -30,9 +30,9 @@ async function initGame() {
         engine.start();
         console.log("Game started successfully");
         
-        // Activate initial zombies after a short delay to let the game stabilize
+        // Start the first round after a short delay to let the game stabilize
         setTimeout(() => {
-            engine.enemyManager.activatePreloadedZombies();
+            engine.enemyManager.startWaves();
         }, 2000);
         
         // Make engine accessible from the console for debugging
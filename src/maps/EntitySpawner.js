@@ -24,7 +24,7 @@ export class EntitySpawner {
     /**
      * Register default entity types
      */
-    async registerDefaultEntities() {
+    registerDefaultEntities() {
         // Target entity example
         this.registerEntity('target', (data) => {
             return {
@@ -39,55 +39,14 @@ export class EntitySpawner {
             };
         });
         
-        // Register weapon pickup entity
-        try {
-            const { Weapon } = await import('../weapons/Weapon.js');
-            const { WeaponPickup } = await import('../weapons/WeaponPickup.js');
-            
-            this.registerEntity('weapon', async (data) => {
-                const weaponPosition = new Vector3(
-                    data.position.x || 0,
-                    data.position.y || 0,
-                    data.position.z || 0
-                );
-                
-                // Get properties with defaults
-                const props = data.properties || {};
-                
-                // Create the weapon with properties from map
-                const weapon = new Weapon({
-                    name: props.name || data.weaponType,
-                    damage: props.damage || 10,
-                    fireRate: props.fireRate || 5,
-                    ammoCapacity: props.ammoCapacity || 30,
-                    reserveAmmo: props.reserveAmmo || 90,
-                    reloadTime: props.reloadTime || 2.0,
-                    position: props.viewPosition ? 
-                        new Vector3(
-                            props.viewPosition.x || 0.3,
-                            props.viewPosition.y || -0.3,
-                            props.viewPosition.z || -0.5
-                        ) : 
-                        new Vector3(0.3, -0.3, -0.5)
-                });
-                
-                // Initialize the weapon
-                weapon.init(this.engine);
-                
-                // Load the weapon model
-                if (this.engine.assetManager.getModel(data.weaponType)) {
-                    weapon.loadModel(data.weaponType);
-                }
-                
-                // Create and return the pickup
-                return new WeaponPickup({
-                    position: weaponPosition,
-                    weapon: weapon
-                });
-            });
-        } catch (error) {
-            console.error("Error registering weapon entity:", error);
-        }
+        // Register weapon pickup entity - properties override the weapon's definition
+        this.registerEntity('weapon', (data) => {
+            return this.engine.weaponFactory.createPickup(
+                data.weaponType,
+                data.position,
+                data.properties
+            );
+        });
     }
     
     /**
@@ -0,0 +1,163 @@
+// src/maps/Heightmap.js
+import { Vector3 } from 'three';
+
+/**
+ * Grid of terrain heights centred on the origin, sampled with bilinear filtering.
+ *
+ * Map format:
+ *   "terrain": {
+ *       "type": "heightmap",
+ *       "size": { "x": 100, "z": 100 },
+ *       "texture": "ground",
+ *       "heightmap": {
+ *           "image": "terrain_height",  // Grayscale texture id, or...
+ *           "heights": [[0, 0.5], [0.2, 1]],  // ...rows of values (or a flat array with "resolution")
+ *           "verticalScale": 8,  // Meters at full white / a value of 1
+ *           "offset": 0  // Added to every height
+ *       }
+ *   }
+ */
+export class Heightmap {
+    /**
+     * Create a heightmap
+     * @param {Object} options - Heightmap options
+     */
+    constructor(options = {}) {
+        this.width = options.width || 100; // World size along X
+        this.depth = options.depth || 100; // World size along Z
+        this.resolutionX = options.resolutionX || 2; // Samples along X
+        this.resolutionZ = options.resolutionZ || 2; // Samples along Z
+        this.heights = options.heights || new Float32Array(this.resolutionX * this.resolutionZ);
+    }
+    
+    /**
+     * Build a heightmap from map terrain data
+     * @param {Object} terrainData - Terrain data from the map
+     * @param {AssetManager} assetManager - Used to look up heightmap images
+     * @returns {Heightmap|null} - Heightmap or null if the data is unusable
+     */
+    static fromTerrainData(terrainData, assetManager) {
+        const data = terrainData.heightmap || {};
+        const size = terrainData.size || { x: 100, z: 100 };
+        const verticalScale = data.verticalScale !== undefined ? data.verticalScale : 1;
+        const offset = data.offset || 0;
+        
+        let values = null;
+        let resolutionX = 0;
+        let resolutionZ = 0;
+        
+        if (data.image) {
+            const texture = assetManager.getTexture(data.image);
+            if (!texture || !texture.image) {
+                console.error(`Heightmap image not found: ${data.image}`);
+                return null;
+            }
+            
+            ({ values, resolutionX, resolutionZ } = Heightmap.readImage(texture.image));
+        } else if (Array.isArray(data.heights) && data.heights.length > 0) {
+            if (Array.isArray(data.heights[0])) {
+                // Rows of values, one row per Z sample
+                resolutionZ = data.heights.length;
+                resolutionX = data.heights[0].length;
+                values = data.heights.flat();
+            } else {
+                // Flat array with explicit resolution
+                const resolution = data.resolution || {};
+                resolutionX = resolution.x || Math.round(Math.sqrt(data.heights.length));
+                resolutionZ = resolution.z || Math.round(data.heights.length / resolutionX);
+                values = data.heights;
+            }
+        }
+        
+        if (!values || resolutionX < 2 || resolutionZ < 2 ||
+            values.length < resolutionX * resolutionZ) {
+            console.error('Invalid heightmap data - need at least 2x2 samples');
+            return null;
+        }
+        
+        const heights = new Float32Array(resolutionX * resolutionZ);
+        for (let i = 0; i < heights.length; i++) {
+            heights[i] = (values[i] || 0) * verticalScale + offset;
+        }
+        
+        return new Heightmap({
+            width: size.x,
+            depth: size.z,
+            resolutionX,
+            resolutionZ,
+            heights
+        });
+    }
+    
+    /**
+     * Read normalized grayscale values from an image
+     * @param {HTMLImageElement|ImageBitmap} image - Source image
+     * @returns {Object} - { values, resolutionX, resolutionZ }
+     */
+    static readImage(image) {
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        
+        const context = canvas.getContext('2d');
+        context.drawImage(image, 0, 0);
+        const pixels = context.getImageData(0, 0, image.width, image.height).data;
+        
+        const values = new Float32Array(image.width * image.height);
+        for (let i = 0; i < values.length; i++) {
+            // Red channel of a grayscale image
+            values[i] = pixels[i * 4] / 255;
+        }
+        
+        return {
+            values,
+            resolutionX: image.width,
+            resolutionZ: image.height
+        };
+    }
+    
+    /**
+     * Sample the terrain height at a world position
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @returns {number} - Height in meters (edges are clamped)
+     */
+    getHeightAt(x, z) {
+        // Map world position to fractional sample coordinates
+        const gx = Math.max(0, Math.min(1, x / this.width + 0.5)) * (this.resolutionX - 1);
+        const gz = Math.max(0, Math.min(1, z / this.depth + 0.5)) * (this.resolutionZ - 1);
+        
+        const x0 = Math.min(Math.floor(gx), this.resolutionX - 2);
+        const z0 = Math.min(Math.floor(gz), this.resolutionZ - 2);
+        const tx = gx - x0;
+        const tz = gz - z0;
+        
+        const row0 = z0 * this.resolutionX;
+        const row1 = row0 + this.resolutionX;
+        
+        const h00 = this.heights[row0 + x0];
+        const h10 = this.heights[row0 + x0 + 1];
+        const h01 = this.heights[row1 + x0];
+        const h11 = this.heights[row1 + x0 + 1];
+        
+        return (h00 * (1 - tx) + h10 * tx) * (1 - tz) +
+               (h01 * (1 - tx) + h11 * tx) * tz;
+    }
+    
+    /**
+     * Estimate the surface normal at a world position
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @param {Vector3} target - Vector to write into
+     * @returns {Vector3} - Unit surface normal
+     */
+    getNormalAt(x, z, target = new Vector3()) {
+        const stepX = this.width / (this.resolutionX - 1);
+        const stepZ = this.depth / (this.resolutionZ - 1);
+        
+        const dx = this.getHeightAt(x + stepX, z) - this.getHeightAt(x - stepX, z);
+        const dz = this.getHeightAt(x, z + stepZ) - this.getHeightAt(x, z - stepZ);
+        
+        return target.set(-dx / (2 * stepX), 1, -dz / (2 * stepZ)).normalize();
+    }
+}
\ No newline at end of file
@@ -32,6 +32,11 @@ export class MapLoader {
             // Spawn weapons defined in the map
             await this.spawnWeapons(mapData.weapons);
             
+            // Background music, declared in the map's sounds
+            if (mapData.music) {
+                this.engine.audio.playMusic(mapData.music);
+            }
+            
             console.log(`Map "${mapData.name}" loaded successfully`);
             
             return mapData;
@@ -92,6 +97,12 @@ export class MapLoader {
             }
         }
         
+        // Load sounds - a missing file leaves that sound silent rather than failing the map
+        if (mapData.sounds && Array.isArray(mapData.sounds)) {
+            this.engine.audio.registerSounds(mapData.sounds);
+            loadPromises.push(this.engine.audio.loadSounds());
+        }
+        
         // Load skybox textures if needed
         if (mapData.skybox && mapData.skybox.type === 'cubemap') {
             for (const textureId of mapData.skybox.textures) {
@@ -120,6 +131,9 @@ export class MapLoader {
             }
         }
         
+        // Bake walkable grid for zombie pathfinding
+        this.engine.navGrid.bake(mapData);
+        
         // Set up skybox
         if (mapData.skybox) {
             await this.engine.renderer.setSkybox(mapData.skybox);
@@ -146,10 +160,9 @@ export class MapLoader {
             this.engine.enemyManager.configure({
                 maxEnemies: zombieConfig.count || 100,
                 preloadAtStart: zombieConfig.preloadAtStart !== false,
-                initialActiveCount: zombieConfig.initialActiveCount || 20,
-                activationRate: zombieConfig.activationRate || 2,
-                activationInterval: zombieConfig.activationInterval || 1000,
-                enemyTypes: zombieConfig.types || []
+                corpseDuration: zombieConfig.corpseDuration !== undefined ? zombieConfig.corpseDuration : 5,
+                enemyTypes: zombieConfig.types || [],
+                waves: zombieConfig.waves || null
             });
             
             // Configure spawn areas if defined
@@ -166,12 +179,13 @@ export class MapLoader {
     setPlayerSpawn(spawnData) {
         if (!spawnData || !this.engine.player) return;
         
-        // Set player position
+        // Set player position - Y is measured from the terrain surface
         const spawnPos = new Vector3(
             spawnData.x || 0,
             spawnData.y || 0,
             spawnData.z || 0
         );
+        spawnPos.y += this.engine.physics.getGroundHeight(spawnPos.x, spawnPos.z);
         
         this.engine.player.position.copy(spawnPos);
         this.engine.player.physicsBody.position.copy(spawnPos);
@@ -191,55 +205,14 @@ export class MapLoader {
             return;
         }
         
-        // Import weapon classes
-        const { Weapon } = await import('../weapons/Weapon.js');
-        const { WeaponPickup } = await import('../weapons/WeaponPickup.js');
-            
-        // Create each weapon defined in the map
+        // Create each weapon defined in the map - properties override the weapon's definition
         for (const weaponData of weaponsList) {
-            // Create weapon position
-            const weaponPosition = new Vector3(
-                weaponData.position.x || 0,
-                weaponData.position.y || 0,
-                weaponData.position.z || 0
+            const weaponPickup = this.engine.weaponFactory.createPickup(
+                weaponData.type,
+                weaponData.position,
+                weaponData.properties
             );
             
-            // Get properties with defaults
-            const props = weaponData.properties || {};
-            
-            // Create the weapon with properties from map
-            const weapon = new Weapon({
-                name: props.name || weaponData.type,
-                damage: props.damage || 10,
-                fireRate: props.fireRate || 5,
-                ammoCapacity: props.ammoCapacity || 30,
-                reserveAmmo: props.reserveAmmo || 90,
-                reloadTime: props.reloadTime || 2.0,
-                position: props.viewPosition ? 
-                    new Vector3(
-                        props.viewPosition.x || 0.3,
-                        props.viewPosition.y || -0.3,
-                        props.viewPosition.z || -0.5
-                    ) : 
-                    new Vector3(0.3, -0.3, -0.5)
-            });
-            
-            // Initialize the weapon with the engine
-            weapon.init(this.engine);
-            
-            // Load the weapon model
-            if (this.engine.assetManager.getModel(weaponData.type)) {
-                weapon.loadModel(weaponData.type);
-            } else {
-                console.error(`Model for weapon type '${weaponData.type}' not found`);
-            }
-            
-            // Create weapon pickup
-            const weaponPickup = new WeaponPickup({
-                position: weaponPosition,
-                weapon: weapon
-            });
-            
             // Add to entity manager
             this.engine.entityManager.addEntity(weaponPickup);
         }
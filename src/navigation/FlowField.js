@@ -0,0 +1,213 @@
+// src/navigation/FlowField.js
+import { Vector3 } from 'three';
+import { NodeHeap } from './NodeHeap.js';
+import { NEIGHBOURS } from './NavGrid.js';
+
+/**
+ * Shared flow field over the nav grid, pointing every reachable cell toward one goal.
+ * One Dijkstra pass serves the whole horde instead of an A* search per zombie.
+ */
+export class FlowField {
+    constructor(navGrid) {
+        this.navGrid = navGrid;
+        
+        // Per-cell data
+        this.costs = null; // Path cost to the goal
+        this.directionsX = null; // Normalized heading toward the goal
+        this.directionsZ = null;
+        this.closed = null;
+        
+        // Goal tracking
+        this.goalCell = { x: -1, z: -1 };
+        this.gridVersion = -1;
+        this.isValid = false;
+        
+        // Stats
+        this.rebuildCount = 0;
+        this.lastBuildTime = 0; // ms
+    }
+    
+    /**
+     * Rebuild the field if the goal has moved to a new cell or the grid was re-baked
+     * @param {Vector3} goalPosition - World position to flow toward
+     * @returns {boolean} - True if the field was rebuilt
+     */
+    update(goalPosition) {
+        const navGrid = this.navGrid;
+        if (!navGrid.isBaked) {
+            this.isValid = false;
+            return false;
+        }
+        
+        const cell = navGrid.worldToCell(goalPosition.x, goalPosition.z);
+        
+        if (this.isValid &&
+            this.gridVersion === navGrid.version &&
+            cell.x === this.goalCell.x && cell.z === this.goalCell.z) {
+            return false;
+        }
+        
+        this.build(cell);
+        return true;
+    }
+    
+    /**
+     * Compute costs and headings for every cell toward a goal cell
+     * @param {Object} cell - Goal cell { x, z }
+     */
+    build(cell) {
+        const navGrid = this.navGrid;
+        const startTime = performance.now();
+        
+        this.goalCell.x = cell.x;
+        this.goalCell.z = cell.z;
+        this.gridVersion = navGrid.version;
+        
+        // Goal may be inside an obstacle's clearance - flow to the nearest open cell
+        const goal = navGrid.findNearestWalkable(cell);
+        if (!goal) {
+            this.isValid = false;
+            return;
+        }
+        
+        const width = navGrid.width;
+        const cellCount = width * navGrid.depth;
+        
+        if (!this.costs || this.costs.length !== cellCount) {
+            this.costs = new Float32Array(cellCount);
+            this.directionsX = new Float32Array(cellCount);
+            this.directionsZ = new Float32Array(cellCount);
+            this.closed = new Uint8Array(cellCount);
+        }
+        
+        const costs = this.costs.fill(Infinity);
+        this.directionsX.fill(0);
+        this.directionsZ.fill(0);
+        const closed = this.closed.fill(0);
+        
+        // Dijkstra outward from the goal
+        const goalIndex = goal.z * width + goal.x;
+        const open = new NodeHeap(costs);
+        costs[goalIndex] = 0;
+        open.push(goalIndex);
+        
+        while (open.size > 0) {
+            const current = open.pop();
+            
+            // Skip stale heap entries
+            if (closed[current]) continue;
+            closed[current] = 1;
+            
+            const cx = current % width;
+            const cz = (current - cx) / width;
+            
+            for (const offset of NEIGHBOURS) {
+                // Movement is symmetric, so expanding outward uses the same rules
+                if (!navGrid.canMove(cx, cz, offset.x, offset.z)) continue;
+                
+                const neighbour = (cz + offset.z) * width + (cx + offset.x);
+                const cost = costs[current] + offset.cost;
+                
+                if (cost < costs[neighbour]) {
+                    costs[neighbour] = cost;
+                    open.push(neighbour);
+                }
+            }
+        }
+        
+        // Point each cell at its cheapest neighbour
+        for (let cz = 0; cz < navGrid.depth; cz++) {
+            for (let cx = 0; cx < width; cx++) {
+                const index = cz * width + cx;
+                if (costs[index] === Infinity || index === goalIndex) continue;
+                
+                let best = null;
+                let bestCost = costs[index];
+                
+                for (const offset of NEIGHBOURS) {
+                    if (!navGrid.canMove(cx, cz, offset.x, offset.z)) continue;
+                    
+                    const cost = costs[(cz + offset.z) * width + (cx + offset.x)];
+                    if (cost < bestCost) {
+                        bestCost = cost;
+                        best = offset;
+                    }
+                }
+                
+                if (best) {
+                    const length = Math.sqrt(best.x * best.x + best.z * best.z);
+                    this.directionsX[index] = best.x / length;
+                    this.directionsZ[index] = best.z / length;
+                }
+            }
+        }
+        
+        this.isValid = true;
+        this.rebuildCount++;
+        this.lastBuildTime = performance.now() - startTime;
+    }
+    
+    /**
+     * Sample the heading toward the goal at a world position
+     * @param {Vector3} position - World position
+     * @param {Vector3} target - Vector to write the direction into
+     * @returns {Vector3|null} - Normalized XZ direction, or null if the field can't help here
+     */
+    getDirection(position, target = new Vector3()) {
+        if (!this.isValid) return null;
+        
+        const navGrid = this.navGrid;
+        const cell = navGrid.worldToCell(position.x, position.z);
+        
+        // Off the field (blocked or unreachable cell)
+        if (!navGrid.isWalkable(cell.x, cell.z) ||
+            this.costs[cell.z * navGrid.width + cell.x] === Infinity) {
+            return null;
+        }
+        
+        // Blend the four nearest cell headings so movement isn't locked to 8 directions
+        const gx = (position.x - navGrid.origin.x) / navGrid.cellSize - 0.5;
+        const gz = (position.z - navGrid.origin.z) / navGrid.cellSize - 0.5;
+        const x0 = Math.floor(gx);
+        const z0 = Math.floor(gz);
+        const tx = gx - x0;
+        const tz = gz - z0;
+        
+        let dirX = 0;
+        let dirZ = 0;
+        
+        for (let dz = 0; dz <= 1; dz++) {
+            for (let dx = 0; dx <= 1; dx++) {
+                const cx = x0 + dx;
+                const cz = z0 + dz;
+                if (!navGrid.isWalkable(cx, cz)) continue;
+                
+                const weight = (dx ? tx : 1 - tx) * (dz ? tz : 1 - tz);
+                const index = cz * navGrid.width + cx;
+                dirX += this.directionsX[index] * weight;
+                dirZ += this.directionsZ[index] * weight;
+            }
+        }
+        
+        const length = Math.sqrt(dirX * dirX + dirZ * dirZ);
+        
+        // Goal cell or headings cancelling out - let the caller steer directly
+        if (length < 0.001) return null;
+        
+        return target.set(dirX / length, 0, dirZ / length);
+    }
+    
+    /**
+     * Discard the current field
+     */
+    clear() {
+        this.costs = null;
+        this.directionsX = null;
+        this.directionsZ = null;
+        this.closed = null;
+        this.goalCell.x = -1;
+        this.goalCell.z = -1;
+        this.gridVersion = -1;
+        this.isValid = false;
+    }
+}
\ No newline at end of file
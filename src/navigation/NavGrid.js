@@ -0,0 +1,480 @@
+// src/navigation/NavGrid.js
+import {
+    Vector3,
+    BufferGeometry,
+    Float32BufferAttribute,
+    PointsMaterial,
+    Points
+} from 'three';
+import { NodeHeap } from './NodeHeap.js';
+
+// Neighbour offsets for 8-connected movement
+export const NEIGHBOURS = [
+    { x: 1, z: 0, cost: 1 },
+    { x: -1, z: 0, cost: 1 },
+    { x: 0, z: 1, cost: 1 },
+    { x: 0, z: -1, cost: 1 },
+    { x: 1, z: 1, cost: Math.SQRT2 },
+    { x: 1, z: -1, cost: Math.SQRT2 },
+    { x: -1, z: 1, cost: Math.SQRT2 },
+    { x: -1, z: -1, cost: Math.SQRT2 }
+];
+
+/**
+ * Walkable grid baked from map terrain and structures, with A* pathfinding
+ */
+export class NavGrid {
+    constructor(engine) {
+        this.engine = engine;
+        
+        // Grid settings
+        this.cellSize = 1.0; // Meters per cell
+        this.agentRadius = 0.5; // Clearance kept around obstacles
+        this.agentHeight = 2.0; // Structures entirely above this don't block
+        this.maxStepHeight = 0.3; // Structures lower than this don't block
+        this.maxIterations = 20000; // Safety cap for A*
+        
+        // Grid data
+        this.width = 0;
+        this.depth = 0;
+        this.origin = new Vector3();
+        this.walkable = null;
+        this.blockedCount = 0;
+        this.isBaked = false;
+        this.version = 0; // Bumped on every bake so dependents can rebuild
+        
+        // Scratch buffers reused between searches
+        this.gScores = null;
+        this.fScores = null;
+        this.cameFrom = null;
+        this.closed = null;
+        
+        // Debug visualisation
+        this.debugObject = null;
+        this.debugVisible = false;
+    }
+    
+    /**
+     * Bake the walkable grid from map data
+     * @param {Object} mapData - Map data with terrain and structures
+     */
+    bake(mapData) {
+        const navData = mapData.navigation || {};
+        this.cellSize = navData.cellSize || this.cellSize;
+        this.agentRadius = navData.agentRadius !== undefined ? navData.agentRadius : this.agentRadius;
+        
+        // Grid covers the terrain, centred on the origin
+        const size = mapData.terrain && mapData.terrain.size ?
+            mapData.terrain.size : { x: 100, z: 100 };
+        
+        this.width = Math.ceil(size.x / this.cellSize);
+        this.depth = Math.ceil(size.z / this.cellSize);
+        this.origin.set(-size.x / 2, 0, -size.z / 2);
+        
+        // Everything starts walkable
+        const cellCount = this.width * this.depth;
+        this.walkable = new Uint8Array(cellCount).fill(1);
+        this.gScores = new Float32Array(cellCount);
+        this.fScores = new Float32Array(cellCount);
+        this.cameFrom = new Int32Array(cellCount);
+        this.closed = new Uint8Array(cellCount);
+        
+        // Carve out structure footprints
+        if (mapData.structures && Array.isArray(mapData.structures)) {
+            for (const structure of mapData.structures) {
+                this.blockStructure(structure);
+            }
+        }
+        
+        this.blockedCount = 0;
+        for (let i = 0; i < this.walkable.length; i++) {
+            if (!this.walkable[i]) this.blockedCount++;
+        }
+        
+        this.isBaked = true;
+        this.version++;
+        
+        // Rebuild debug view if it's showing
+        if (this.debugVisible) {
+            this.removeDebugObject();
+            this.createDebugObject();
+        }
+        
+        console.log(`Nav grid baked: ${this.width}x${this.depth} cells, ${this.blockedCount} blocked`);
+    }
+    
+    /**
+     * Mark cells covered by a structure as blocked
+     * @param {Object} structure - Structure data from the map
+     */
+    blockStructure(structure) {
+        const { position, scale } = structure;
+        if (!position || !scale) return;
+        
+        // Skip structures we can step over or walk under
+        const bottom = position.y - scale.y / 2;
+        const top = position.y + scale.y / 2;
+        
+        if (top <= this.maxStepHeight || bottom >= this.agentHeight) {
+            return;
+        }
+        
+        // Footprint half sizes inflated by agent clearance
+        const halfX = scale.x / 2 + this.agentRadius;
+        const halfZ = scale.z / 2 + this.agentRadius;
+        const yaw = structure.rotation ? structure.rotation.y || 0 : 0;
+        const cos = Math.cos(yaw);
+        const sin = Math.sin(yaw);
+        
+        // World-space bounds of the rotated footprint
+        const extentX = Math.abs(cos) * halfX + Math.abs(sin) * halfZ;
+        const extentZ = Math.abs(sin) * halfX + Math.abs(cos) * halfZ;
+        
+        const min = this.worldToCell(position.x - extentX, position.z - extentZ);
+        const max = this.worldToCell(position.x + extentX, position.z + extentZ);
+        const cellCenter = new Vector3();
+        
+        for (let cz = Math.max(min.z, 0); cz <= Math.min(max.z, this.depth - 1); cz++) {
+            for (let cx = Math.max(min.x, 0); cx <= Math.min(max.x, this.width - 1); cx++) {
+                this.cellToWorld(cx, cz, cellCenter);
+                
+                // Transform cell centre into the structure's local space
+                const dx = cellCenter.x - position.x;
+                const dz = cellCenter.z - position.z;
+                const localX = dx * cos - dz * sin;
+                const localZ = dx * sin + dz * cos;
+                
+                if (Math.abs(localX) <= halfX && Math.abs(localZ) <= halfZ) {
+                    this.walkable[cz * this.width + cx] = 0;
+                }
+            }
+        }
+    }
+    
+    /**
+     * Convert a world position to grid coordinates
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @returns {Object} - Cell coordinates { x, z }
+     */
+    worldToCell(x, z) {
+        return {
+            x: Math.floor((x - this.origin.x) / this.cellSize),
+            z: Math.floor((z - this.origin.z) / this.cellSize)
+        };
+    }
+    
+    /**
+     * Get the world-space centre of a cell
+     * @param {number} cx - Cell X
+     * @param {number} cz - Cell Z
+     * @param {Vector3} target - Vector to write into
+     * @returns {Vector3} - Cell centre
+     */
+    cellToWorld(cx, cz, target = new Vector3()) {
+        return target.set(
+            this.origin.x + (cx + 0.5) * this.cellSize,
+            0,
+            this.origin.z + (cz + 0.5) * this.cellSize
+        );
+    }
+    
+    /**
+     * Check whether cell coordinates are inside the grid
+     * @param {number} cx - Cell X
+     * @param {number} cz - Cell Z
+     * @returns {boolean}
+     */
+    isInBounds(cx, cz) {
+        return cx >= 0 && cz >= 0 && cx < this.width && cz < this.depth;
+    }
+    
+    /**
+     * Check whether a cell can be walked on
+     * @param {number} cx - Cell X
+     * @param {number} cz - Cell Z
+     * @returns {boolean}
+     */
+    isWalkable(cx, cz) {
+        return this.isInBounds(cx, cz) && this.walkable[cz * this.width + cx] === 1;
+    }
+    
+    /**
+     * Check whether a step to a neighbouring cell is allowed
+     * @param {number} cx - Current cell X
+     * @param {number} cz - Current cell Z
+     * @param {number} dx - Step along X (-1, 0 or 1)
+     * @param {number} dz - Step along Z (-1, 0 or 1)
+     * @returns {boolean}
+     */
+    canMove(cx, cz, dx, dz) {
+        if (!this.isWalkable(cx + dx, cz + dz)) return false;
+        
+        // Don't cut corners around blocked cells
+        if (dx !== 0 && dz !== 0 &&
+            (!this.isWalkable(cx + dx, cz) || !this.isWalkable(cx, cz + dz))) {
+            return false;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Find the closest walkable cell to a given cell
+     * @param {Object} cell - Cell coordinates { x, z }
+     * @param {number} maxRadius - Search radius in cells
+     * @returns {Object|null} - Walkable cell or null
+     */
+    findNearestWalkable(cell, maxRadius = 5) {
+        if (this.isWalkable(cell.x, cell.z)) return cell;
+        
+        // Search expanding rings around the cell
+        for (let radius = 1; radius <= maxRadius; radius++) {
+            for (let dz = -radius; dz <= radius; dz++) {
+                for (let dx = -radius; dx <= radius; dx++) {
+                    if (Math.abs(dx) !== radius && Math.abs(dz) !== radius) continue;
+                    
+                    if (this.isWalkable(cell.x + dx, cell.z + dz)) {
+                        return { x: cell.x + dx, z: cell.z + dz };
+                    }
+                }
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Find a path between two world positions
+     * @param {Vector3} from - Start position
+     * @param {Vector3} to - Goal position
+     * @returns {Array<Vector3>|null} - Waypoints (excluding start) or null if unreachable
+     */
+    findPath(from, to) {
+        if (!this.isBaked) return null;
+        
+        const start = this.findNearestWalkable(this.worldToCell(from.x, from.z));
+        const goal = this.findNearestWalkable(this.worldToCell(to.x, to.z));
+        
+        if (!start || !goal) return null;
+        
+        const startIndex = start.z * this.width + start.x;
+        const goalIndex = goal.z * this.width + goal.x;
+        
+        // Same cell or clear line - head straight there
+        if (startIndex === goalIndex || this.hasLineOfSight(from, to)) {
+            return [new Vector3(to.x, from.y, to.z)];
+        }
+        
+        const gScores = this.gScores.fill(Infinity);
+        const fScores = this.fScores.fill(Infinity);
+        const cameFrom = this.cameFrom.fill(-1);
+        const closed = this.closed.fill(0);
+        const open = new NodeHeap(fScores);
+        
+        gScores[startIndex] = 0;
+        fScores[startIndex] = this.heuristic(start.x, start.z, goal.x, goal.z);
+        open.push(startIndex);
+        
+        let iterations = 0;
+        
+        while (open.size > 0 && iterations++ < this.maxIterations) {
+            const current = open.pop();
+            
+            if (current === goalIndex) {
+                return this.buildPath(cameFrom, goalIndex, from, to);
+            }
+            
+            if (closed[current]) continue;
+            closed[current] = 1;
+            
+            const cx = current % this.width;
+            const cz = (current - cx) / this.width;
+            
+            for (const offset of NEIGHBOURS) {
+                const nx = cx + offset.x;
+                const nz = cz + offset.z;
+                
+                if (!this.canMove(cx, cz, offset.x, offset.z)) continue;
+                
+                const neighbour = nz * this.width + nx;
+                if (closed[neighbour]) continue;
+                
+                const tentative = gScores[current] + offset.cost;
+                
+                if (tentative < gScores[neighbour]) {
+                    cameFrom[neighbour] = current;
+                    gScores[neighbour] = tentative;
+                    fScores[neighbour] = tentative + this.heuristic(nx, nz, goal.x, goal.z);
+                    open.push(neighbour);
+                }
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Octile distance heuristic
+     */
+    heuristic(ax, az, bx, bz) {
+        const dx = Math.abs(ax - bx);
+        const dz = Math.abs(az - bz);
+        return (dx + dz) + (Math.SQRT2 - 2) * Math.min(dx, dz);
+    }
+    
+    /**
+     * Reconstruct and smooth a path from A* results
+     * @returns {Array<Vector3>} - World-space waypoints
+     */
+    buildPath(cameFrom, goalIndex, from, to) {
+        // Walk back from the goal to collect cells
+        const cells = [];
+        let current = goalIndex;
+        
+        while (current !== -1) {
+            cells.push(current);
+            current = cameFrom[current];
+        }
+        
+        cells.reverse();
+        
+        // Convert cells to world positions, ending exactly at the target
+        const points = cells.map(index => {
+            const cx = index % this.width;
+            const cz = (index - cx) / this.width;
+            const point = this.cellToWorld(cx, cz);
+            point.y = from.y;
+            return point;
+        });
+        
+        points[0].set(from.x, from.y, from.z);
+        points[points.length - 1].set(to.x, from.y, to.z);
+        
+        // String-pull: skip waypoints that are directly visible
+        const smoothed = [points[0]];
+        let anchor = 0;
+        
+        for (let i = 2; i < points.length; i++) {
+            if (!this.hasLineOfSight(points[anchor], points[i])) {
+                anchor = i - 1;
+                smoothed.push(points[anchor]);
+            }
+        }
+        
+        smoothed.push(points[points.length - 1]);
+        
+        // Drop the start point - callers are already there
+        return smoothed.slice(1);
+    }
+    
+    /**
+     * Check that a straight line between two points only crosses walkable cells
+     * @param {Vector3} a - Start position
+     * @param {Vector3} b - End position
+     * @returns {boolean}
+     */
+    hasLineOfSight(a, b) {
+        const dx = b.x - a.x;
+        const dz = b.z - a.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+        const steps = Math.ceil(distance / (this.cellSize * 0.25));
+        
+        for (let i = 0; i <= steps; i++) {
+            const t = steps > 0 ? i / steps : 0;
+            const cell = this.worldToCell(a.x + dx * t, a.z + dz * t);
+            
+            if (!this.isWalkable(cell.x, cell.z)) {
+                return false;
+            }
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Get grid statistics for the debug overlay
+     * @returns {Object} - Grid stats
+     */
+    getStats() {
+        return {
+            width: this.width,
+            depth: this.depth,
+            cellSize: this.cellSize,
+            blocked: this.blockedCount
+        };
+    }
+    
+    /**
+     * Toggle the blocked-cell debug view
+     */
+    toggleDebug() {
+        this.debugVisible = !this.debugVisible;
+        
+        if (this.debugVisible) {
+            this.createDebugObject();
+        } else {
+            this.removeDebugObject();
+        }
+    }
+    
+    /**
+     * Create a point cloud marking blocked cells
+     */
+    createDebugObject() {
+        if (!this.isBaked) return;
+        
+        const positions = [];
+        const cellCenter = new Vector3();
+        
+        for (let cz = 0; cz < this.depth; cz++) {
+            for (let cx = 0; cx < this.width; cx++) {
+                if (this.walkable[cz * this.width + cx]) continue;
+                
+                this.cellToWorld(cx, cz, cellCenter);
+                positions.push(cellCenter.x, 0.1, cellCenter.z);
+            }
+        }
+        
+        const geometry = new BufferGeometry();
+        geometry.setAttribute('position', new Float32BufferAttribute(positions, 3));
+        
+        const material = new PointsMaterial({
+            color: 0xff3333,
+            size: this.cellSize * 0.5,
+            depthTest: false
+        });
+        
+        this.debugObject = new Points(geometry, material);
+        this.debugObject.userData.ignoreRaycast = true;
+        this.engine.renderer.scene.add(this.debugObject);
+    }
+    
+    /**
+     * Remove the debug view from the scene
+     */
+    removeDebugObject() {
+        if (!this.debugObject) return;
+        
+        this.engine.renderer.scene.remove(this.debugObject);
+        this.debugObject.geometry.dispose();
+        this.debugObject.material.dispose();
+        this.debugObject = null;
+    }
+    
+    /**
+     * Clear baked data
+     */
+    clear() {
+        this.removeDebugObject();
+        this.walkable = null;
+        this.gScores = null;
+        this.fScores = null;
+        this.cameFrom = null;
+        this.closed = null;
+        this.width = 0;
+        this.depth = 0;
+        this.blockedCount = 0;
+        this.isBaked = false;
+    }
+}
\ No newline at end of file
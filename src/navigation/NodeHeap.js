@@ -0,0 +1,76 @@
+// src/navigation/NodeHeap.js
+
+/**
+ * Minimal binary min-heap of grid cell indices, keyed on a score array
+ */
+export class NodeHeap {
+    constructor(scores) {
+        this.scores = scores;
+        this.items = [];
+    }
+    
+    get size() {
+        return this.items.length;
+    }
+    
+    push(index) {
+        this.items.push(index);
+        this.bubbleUp(this.items.length - 1);
+    }
+    
+    pop() {
+        const top = this.items[0];
+        const last = this.items.pop();
+        
+        if (this.items.length > 0) {
+            this.items[0] = last;
+            this.sinkDown(0);
+        }
+        
+        return top;
+    }
+    
+    bubbleUp(position) {
+        const items = this.items;
+        const item = items[position];
+        
+        while (position > 0) {
+            const parent = (position - 1) >> 1;
+            if (this.scores[items[parent]] <= this.scores[item]) break;
+            
+            items[position] = items[parent];
+            position = parent;
+        }
+        
+        items[position] = item;
+    }
+    
+    sinkDown(position) {
+        const items = this.items;
+        const length = items.length;
+        const item = items[position];
+        
+        while (true) {
+            const left = position * 2 + 1;
+            const right = left + 1;
+            let smallest = position;
+            let smallestScore = this.scores[item];
+            
+            if (left < length && this.scores[items[left]] < smallestScore) {
+                smallest = left;
+                smallestScore = this.scores[items[left]];
+            }
+            
+            if (right < length && this.scores[items[right]] < smallestScore) {
+                smallest = right;
+            }
+            
+            if (smallest === position) break;
+            
+            items[position] = items[smallest];
+            position = smallest;
+        }
+        
+        items[position] = item;
+    }
+}
\ No newline at end of file
@@ -1,5 +1,147 @@
 // src/physics/Collider.js
-import { Vector3, Box3, Sphere, Raycaster } from 'three';
+import { Vector3, Box3, Sphere, Raycaster, Quaternion, Euler } from 'three';
+
+/**
+ * Slab test of a ray against an axis-aligned box
+ * @param {Vector3} origin - Ray origin
+ * @param {Vector3} direction - Normalized ray direction
+ * @param {Vector3} min - Box minimum corner
+ * @param {Vector3} max - Box maximum corner
+ * @param {number} maxDistance - Maximum hit distance
+ * @returns {Object|null} - Hit info { distance, normal } or null if missed
+ */
+function raycastBox(origin, direction, min, max, maxDistance) {
+    let tMin = 0;
+    let tMax = maxDistance;
+    let hitAxis = null;
+    let hitSign = 0;
+    
+    for (const axis of ['x', 'y', 'z']) {
+        const o = origin[axis];
+        const d = direction[axis];
+        
+        // Parallel to this slab - miss unless already between its faces
+        if (Math.abs(d) < 1e-8) {
+            if (o < min[axis] || o > max[axis]) return null;
+            continue;
+        }
+        
+        let tNear = (min[axis] - o) / d;
+        let tFar = (max[axis] - o) / d;
+        let sign = -1; // Entering through the min face
+        
+        if (tNear > tFar) {
+            const temp = tNear;
+            tNear = tFar;
+            tFar = temp;
+            sign = 1;
+        }
+        
+        if (tNear > tMin) {
+            tMin = tNear;
+            hitAxis = axis;
+            hitSign = sign;
+        }
+        
+        tMax = Math.min(tMax, tFar);
+        if (tMin > tMax) return null;
+    }
+    
+    const normal = new Vector3();
+    
+    if (hitAxis) {
+        normal[hitAxis] = hitSign;
+    } else {
+        // Ray starts inside the box
+        normal.copy(direction).negate();
+    }
+    
+    return {
+        distance: tMin,
+        normal
+    };
+}
+
+/**
+ * Sphere against a (possibly rotated) box
+ * @param {Vector3} center - Sphere center
+ * @param {number} radius - Sphere radius
+ * @param {Vector3} boxCenter - Box center
+ * @param {Vector3} halfExtents - Box half sizes
+ * @param {Quaternion|null} quaternion - Box orientation, null for axis-aligned
+ * @returns {Object|null} - Collision info with the normal pointing from the box to the sphere
+ */
+function sphereVsBox(center, radius, boxCenter, halfExtents, quaternion) {
+    // Work in the box's local space
+    const local = new Vector3().subVectors(center, boxCenter);
+    if (quaternion) {
+        local.applyQuaternion(quaternion.clone().invert());
+    }
+    
+    const closest = local.clone().clamp(
+        new Vector3(-halfExtents.x, -halfExtents.y, -halfExtents.z),
+        halfExtents
+    );
+    
+    const offset = new Vector3().subVectors(local, closest);
+    const distance = offset.length();
+    
+    if (distance > radius) return null;
+    
+    const normal = new Vector3();
+    let depth;
+    
+    if (distance > 1e-6) {
+        normal.copy(offset).divideScalar(distance);
+        depth = radius - distance;
+    } else {
+        // Center is inside the box - push out through the nearest face
+        let minPenetration = Infinity;
+        let axis = 'y';
+        
+        for (const a of ['x', 'y', 'z']) {
+            const penetration = halfExtents[a] - Math.abs(local[a]);
+            if (penetration < minPenetration) {
+                minPenetration = penetration;
+                axis = a;
+            }
+        }
+        
+        normal[axis] = local[axis] < 0 ? -1 : 1;
+        depth = radius + minPenetration;
+    }
+    
+    // Back to world space
+    if (quaternion) {
+        normal.applyQuaternion(quaternion);
+        closest.applyQuaternion(quaternion);
+    }
+    closest.add(boxCenter);
+    
+    return {
+        normal,
+        depth,
+        point: closest
+    };
+}
+
+/**
+ * Closest point on a segment to a point
+ * @param {Vector3} a - Segment start
+ * @param {Vector3} b - Segment end
+ * @param {Vector3} point - Point to project
+ * @param {Vector3} target - Vector to write into
+ * @returns {Vector3} - Closest point
+ */
+function closestPointOnSegment(a, b, point, target = new Vector3()) {
+    const ab = new Vector3().subVectors(b, a);
+    const lengthSq = ab.lengthSq();
+    
+    if (lengthSq === 0) return target.copy(a);
+    
+    const t = Math.max(0, Math.min(1, new Vector3().subVectors(point, a).dot(ab) / lengthSq));
+    return target.copy(a).addScaledVector(ab, t);
+}
 
 /**
  * Base Collider class
@@ -36,6 +178,18 @@ export class Collider {
         console.warn('Base Collider.getCollisionInfo() called - should be overridden by subclass');
         return null;
     }
+    
+    /**
+     * Cast a ray against this collider
+     * @param {Vector3} origin - Ray origin
+     * @param {Vector3} direction - Normalized ray direction
+     * @param {number} maxDistance - Maximum hit distance
+     * @returns {Object|null} - Hit info { distance, normal } or null if missed
+     */
+    raycast(origin, direction, maxDistance = Infinity) {
+        // Colliders that don't support raycasts are never hit
+        return null;
+    }
 }
 
 /**
@@ -76,6 +230,10 @@ export class SphereCollider extends Collider {
             return other.box.intersectsSphere(this.sphere);
         }
         
+        if (other instanceof OrientedBoxCollider || other instanceof CapsuleCollider) {
+            return other.intersects(this);
+        }
+        
         return false;
     }
     
@@ -113,6 +271,16 @@ export class SphereCollider extends Collider {
             }
         }
         
+        if (other instanceof OrientedBoxCollider) {
+            return sphereVsBox(this.position, this.radius, other.position, other.halfExtents, other.quaternion);
+        }
+        
+        if (other instanceof CapsuleCollider) {
+            const info = other.getCollisionInfo(this);
+            if (info) info.normal.negate();
+            return info;
+        }
+        
         if (other instanceof BoxCollider) {
             // Sphere vs box collision - use box's method for this
             return other.getCollisionInfo(this);
@@ -175,6 +343,10 @@ export class BoxCollider extends Collider {
             return this.box.intersectsSphere(other.sphere);
         }
         
+        if (other instanceof CapsuleCollider) {
+            return other.intersects(this);
+        }
+        
         return false;
     }
     
@@ -239,6 +411,12 @@ export class BoxCollider extends Collider {
             };
         }
         
+        if (other instanceof CapsuleCollider) {
+            const info = other.getCollisionInfo(this);
+            if (info) info.normal.negate();
+            return info;
+        }
+        
         if (other instanceof SphereCollider) {
             // Box vs sphere collision
             if (!this.intersects(other)) {
@@ -295,4 +473,376 @@ export class BoxCollider extends Collider {
             max: center + radius
         };
     }
+    
+    /**
+     * Cast a ray against this box using the slab method
+     * @param {Vector3} origin - Ray origin
+     * @param {Vector3} direction - Normalized ray direction
+     * @param {number} maxDistance - Maximum hit distance
+     * @returns {Object|null} - Hit info { distance, normal } or null if missed
+     */
+    raycast(origin, direction, maxDistance = Infinity) {
+        return raycastBox(origin, direction, this.box.min, this.box.max, maxDistance);
+    }
+}
+
+/**
+ * Box collider that can be rotated to any orientation
+ */
+export class OrientedBoxCollider extends Collider {
+    /**
+     * Create a new oriented box collider
+     * @param {Vector3} position - Center position
+     * @param {Vector3} halfExtents - Half sizes along the box's local axes
+     * @param {Euler|Quaternion} rotation - Box orientation
+     */
+    constructor(position, halfExtents, rotation) {
+        super(position);
+        this.halfExtents = halfExtents.clone();
+        this.quaternion = new Quaternion();
+        this.inverseQuaternion = new Quaternion();
+        
+        // Sphere that encloses the box whatever its orientation
+        this.boundingRadius = this.halfExtents.length();
+        
+        this.setRotation(rotation);
+    }
+    
+    /**
+     * Set the box orientation
+     * @param {Euler|Quaternion} rotation - New orientation
+     */
+    setRotation(rotation) {
+        if (rotation instanceof Quaternion) {
+            this.quaternion.copy(rotation);
+        } else if (rotation) {
+            this.quaternion.setFromEuler(rotation);
+        } else {
+            this.quaternion.identity();
+        }
+        
+        this.inverseQuaternion.copy(this.quaternion).invert();
+    }
+    
+    /**
+     * Check if this box intersects with another collider
+     * @param {Collider} other - Other collider to check against
+     * @returns {boolean} - True if colliders intersect
+     */
+    intersects(other) {
+        return this.getCollisionInfo(other) !== null;
+    }
+    
+    /**
+     * Get collision info between this box and another collider
+     * @param {Collider} other - Other collider
+     * @returns {Object|null} - Collision info or null if no collision
+     */
+    getCollisionInfo(other) {
+        // Boxes are static, so only moving shapes need handling
+        if (other instanceof SphereCollider || other instanceof CapsuleCollider) {
+            const info = other.getCollisionInfo(this);
+            if (info) info.normal.negate();
+            return info;
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Find the closest point on or in the box to a world point
+     * @param {Vector3} point - World point
+     * @param {Vector3} target - Vector to write into
+     * @returns {Vector3} - Closest point in world space
+     */
+    closestPoint(point, target = new Vector3()) {
+        target.subVectors(point, this.position).applyQuaternion(this.inverseQuaternion);
+        target.clamp(
+            new Vector3(-this.halfExtents.x, -this.halfExtents.y, -this.halfExtents.z),
+            this.halfExtents
+        );
+        
+        return target.applyQuaternion(this.quaternion).add(this.position);
+    }
+    
+    /**
+     * Cast a ray against this box
+     * @param {Vector3} origin - Ray origin
+     * @param {Vector3} direction - Normalized ray direction
+     * @param {number} maxDistance - Maximum hit distance
+     * @returns {Object|null} - Hit info { distance, normal } or null if missed
+     */
+    raycast(origin, direction, maxDistance = Infinity) {
+        // Slab test in the box's local space
+        const localOrigin = new Vector3()
+            .subVectors(origin, this.position)
+            .applyQuaternion(this.inverseQuaternion);
+        const localDirection = direction.clone().applyQuaternion(this.inverseQuaternion);
+        const min = new Vector3(-this.halfExtents.x, -this.halfExtents.y, -this.halfExtents.z);
+        
+        const hit = raycastBox(localOrigin, localDirection, min, this.halfExtents, maxDistance);
+        
+        if (hit) {
+            hit.normal.applyQuaternion(this.quaternion);
+        }
+        
+        return hit;
+    }
+}
+
+/**
+ * Upright capsule collider for characters.
+ * The position is the center of the lower hemisphere; the capsule extends upward from it,
+ * so ground contact behaves exactly like a sphere of the same radius.
+ */
+export class CapsuleCollider extends Collider {
+    /**
+     * Create a new capsule collider
+     * @param {Vector3} position - Center of the lower hemisphere
+     * @param {number} radius - Capsule radius
+     * @param {number} height - Total height from bottom to top
+     */
+    constructor(position, radius, height) {
+        super(position);
+        this.radius = radius;
+        this.setHeight(height);
+    }
+    
+    /**
+     * Change the capsule height, keeping the bottom in place
+     * @param {number} height - Total height from bottom to top
+     */
+    setHeight(height) {
+        this.height = Math.max(height, this.radius * 2);
+        this.segmentLength = this.height - this.radius * 2;
+    }
+    
+    /**
+     * Get the top of the capsule's inner segment
+     * @param {Vector3} target - Vector to write into
+     * @returns {Vector3} - Center of the upper hemisphere
+     */
+    getTop(target = new Vector3()) {
+        return target.copy(this.position).setY(this.position.y + this.segmentLength);
+    }
+    
+    /**
+     * Check if this capsule intersects with another collider
+     * @param {Collider} other - Other collider to check against
+     * @returns {boolean} - True if colliders intersect
+     */
+    intersects(other) {
+        return this.getCollisionInfo(other) !== null;
+    }
+    
+    /**
+     * Get collision info between this capsule and another collider
+     * @param {Collider} other - Other collider
+     * @returns {Object|null} - Collision info, normal pointing from other toward this capsule
+     */
+    getCollisionInfo(other) {
+        const top = this.getTop();
+        
+        if (other instanceof CapsuleCollider) {
+            return this.getCapsuleCollisionInfo(other, top);
+        }
+        
+        if (other instanceof SphereCollider) {
+            const point = closestPointOnSegment(this.position, top, other.position);
+            return this.getSphereContact(point, other.position, other.radius);
+        }
+        
+        if (other instanceof OrientedBoxCollider) {
+            const point = this.closestPointToBox(top, p => other.closestPoint(p));
+            return sphereVsBox(point, this.radius, other.position, other.halfExtents, other.quaternion);
+        }
+        
+        if (other instanceof BoxCollider) {
+            const point = this.closestPointToBox(top, p => p.clone().clamp(other.box.min, other.box.max));
+            return sphereVsBox(point, this.radius, other.position, other.halfExtents, null);
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Find the point on our segment nearest a convex box by alternating projections
+     * @param {Vector3} top - Top of our segment
+     * @param {Function} closestOnBox - Maps a world point to the closest point on the box
+     * @returns {Vector3} - Point on our segment
+     */
+    closestPointToBox(top, closestOnBox) {
+        const point = closestPointOnSegment(this.position, top, closestOnBox(this.position));
+        
+        for (let i = 0; i < 4; i++) {
+            closestPointOnSegment(this.position, top, closestOnBox(point), point);
+        }
+        
+        return point;
+    }
+    
+    /**
+     * Contact between one of our segment points and another sphere
+     * @param {Vector3} point - Point on our segment
+     * @param {Vector3} otherCenter - Other sphere center
+     * @param {number} otherRadius - Other sphere radius
+     * @returns {Object|null} - Collision info
+     */
+    getSphereContact(point, otherCenter, otherRadius) {
+        const normal = new Vector3().subVectors(point, otherCenter);
+        const distance = normal.length();
+        const minDistance = this.radius + otherRadius;
+        
+        if (distance >= minDistance) return null;
+        
+        if (distance > 1e-6) {
+            normal.divideScalar(distance);
+        } else {
+            normal.set(1, 0, 0);
+        }
+        
+        return {
+            normal,
+            depth: minDistance - distance,
+            point: point.clone().addScaledVector(normal, -this.radius)
+        };
+    }
+    
+    /**
+     * Contact between two upright capsules
+     * @param {CapsuleCollider} other - Other capsule
+     * @param {Vector3} top - Top of our segment
+     * @returns {Object|null} - Collision info
+     */
+    getCapsuleCollisionInfo(other, top) {
+        const otherTop = other.getTop();
+        
+        // Both segments are vertical, so only the Y choice matters
+        const overlapMin = Math.max(this.position.y, other.position.y);
+        const overlapMax = Math.min(top.y, otherTop.y);
+        
+        let y;
+        let otherY;
+        
+        if (overlapMin <= overlapMax) {
+            // Segments share a height range - contact is purely horizontal
+            y = otherY = (overlapMin + overlapMax) / 2;
+        } else if (top.y < other.position.y) {
+            // We're entirely below the other capsule
+            y = top.y;
+            otherY = other.position.y;
+        } else {
+            y = this.position.y;
+            otherY = otherTop.y;
+        }
+        
+        const point = new Vector3(this.position.x, y, this.position.z);
+        const otherPoint = new Vector3(other.position.x, otherY, other.position.z);
+        
+        return this.getSphereContact(point, otherPoint, other.radius);
+    }
+}
+
+/**
+ * Terrain collider backed by a heightmap.
+ * Ground contact is resolved by PhysicsWorld.checkWorldBounds() sampling the height,
+ * so this collider only answers height queries and raycasts.
+ */
+export class HeightfieldCollider extends Collider {
+    /**
+     * Create a new heightfield collider
+     * @param {Heightmap} heightmap - Terrain heights
+     */
+    constructor(heightmap) {
+        super(new Vector3());
+        this.heightmap = heightmap;
+        
+        // Raymarch step - half the sample spacing
+        this.raycastStep = Math.min(
+            heightmap.width / (heightmap.resolutionX - 1),
+            heightmap.depth / (heightmap.resolutionZ - 1)
+        ) * 0.5;
+    }
+    
+    /**
+     * Sample the terrain height
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @returns {number} - Height in meters
+     */
+    getHeightAt(x, z) {
+        return this.heightmap.getHeightAt(x, z);
+    }
+    
+    /**
+     * Sample the terrain normal
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @param {Vector3} target - Vector to write into
+     * @returns {Vector3} - Surface normal
+     */
+    getNormalAt(x, z, target = new Vector3()) {
+        return this.heightmap.getNormalAt(x, z, target);
+    }
+    
+    intersects(other) {
+        return false;
+    }
+    
+    getCollisionInfo(other) {
+        return null;
+    }
+    
+    /**
+     * March a ray over the terrain until it dips below the surface
+     * @param {Vector3} origin - Ray origin
+     * @param {Vector3} direction - Normalized ray direction
+     * @param {number} maxDistance - Maximum hit distance
+     * @returns {Object|null} - Hit info { distance, normal } or null if missed
+     */
+    raycast(origin, direction, maxDistance = Infinity) {
+        const point = new Vector3();
+        const below = distance => {
+            point.copy(origin).addScaledVector(direction, distance);
+            return point.y < this.getHeightAt(point.x, point.z);
+        };
+        
+        if (below(0)) {
+            return { distance: 0, normal: this.getNormalAt(origin.x, origin.z) };
+        }
+        
+        // Cap the march so unbounded rays stay cheap
+        const limit = Math.min(maxDistance, this.heightmap.width + this.heightmap.depth);
+        let previous = 0;
+        
+        for (let distance = this.raycastStep; previous < limit; distance += this.raycastStep) {
+            distance = Math.min(distance, limit);
+            
+            if (below(distance)) {
+                // Refine the crossing between the last two samples
+                let low = previous;
+                let high = distance;
+                
+                for (let i = 0; i < 6; i++) {
+                    const mid = (low + high) / 2;
+                    if (below(mid)) {
+                        high = mid;
+                    } else {
+                        low = mid;
+                    }
+                }
+                
+                point.copy(origin).addScaledVector(direction, high);
+                
+                return {
+                    distance: high,
+                    normal: this.getNormalAt(point.x, point.z)
+                };
+            }
+            
+            previous = distance;
+        }
+        
+        return null;
+    }
 }
\ No newline at end of file
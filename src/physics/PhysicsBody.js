@@ -1,6 +1,6 @@
 // src/physics/PhysicsBody.js
-import { Vector3 } from 'three';
-import { SphereCollider, BoxCollider } from './Collider.js';
+import { Vector3, Euler } from 'three';
+import { SphereCollider, BoxCollider, OrientedBoxCollider, CapsuleCollider, HeightfieldCollider } from './Collider.js';
 
 export class PhysicsBody {
     /**
@@ -11,6 +11,7 @@ export class PhysicsBody {
         // Position and orientation
         this.position = options.position ? options.position.clone() : new Vector3();
         this.rotation = options.rotation ? options.rotation.clone() : new Vector3();
+        this.rotationOrder = options.rotationOrder || 'XYZ'; // Euler order for rotated boxes
         
         // Linear properties
         this.velocity = options.velocity ? options.velocity.clone() : new Vector3();
@@ -42,14 +43,29 @@ export class PhysicsBody {
         this.stabilizeThreshold = 0.01; // Higher threshold to prevent lingering motion
         
         // Collider
-        if (options.radius !== undefined) {
+        if (options.radius !== undefined && options.height !== undefined) {
+            // Upright capsule collider, positioned at its lower hemisphere
+            this.radius = options.radius;
+            this.height = options.height;
+            this.collider = new CapsuleCollider(this.position, this.radius, this.height);
+        } else if (options.radius !== undefined) {
             // Sphere collider
             this.radius = options.radius;
             this.collider = new SphereCollider(this.position, this.radius);
         } else if (options.halfExtents !== undefined) {
             // Box collider
             this.halfExtents = options.halfExtents.clone();
-            this.collider = new BoxCollider(this.position, this.halfExtents);
+            
+            if (this.rotation.x || this.rotation.y || this.rotation.z) {
+                // Rotated box
+                this.collider = new OrientedBoxCollider(
+                    this.position,
+                    this.halfExtents,
+                    new Euler(this.rotation.x, this.rotation.y, this.rotation.z, this.rotationOrder)
+                );
+            } else {
+                this.collider = new BoxCollider(this.position, this.halfExtents);
+            }
         } else {
             // Default to sphere with radius 1
             this.radius = 1.0;
@@ -146,6 +162,34 @@ export class PhysicsBody {
         this.collider.updatePosition(this.position);
     }
     
+    /**
+     * Reset motion state and move the body to a new position
+     * @param {Vector3} position - New position
+     */
+    reset(position) {
+        if (position) {
+            this.position.copy(position);
+        }
+        
+        this.velocity.set(0, 0, 0);
+        this.acceleration.set(0, 0, 0);
+        this.forces.set(0, 0, 0);
+        this.onGround = false;
+        
+        this.collider.updatePosition(this.position);
+    }
+    
+    /**
+     * Resize a capsule body, keeping its bottom in place
+     * @param {number} height - New total height
+     */
+    setHeight(height) {
+        if (!(this.collider instanceof CapsuleCollider)) return;
+        
+        this.collider.setHeight(height);
+        this.height = this.collider.height;
+    }
+    
     /**
      * Check collision with another body
      * @param {PhysicsBody} other - Other body to check collision with
@@ -233,3 +277,40 @@ export class BoxObstacle extends StaticBody {
         super(options);
     }
 }
+
+/**
+ * Heightmap terrain - supplies the ground height used by world bounds checks
+ */
+export class TerrainBody extends StaticBody {
+    /**
+     * Create a terrain body
+     * @param {Object} options - Terrain options, including the heightmap
+     */
+    constructor(options = {}) {
+        super(options);
+        
+        this.heightmap = options.heightmap;
+        this.collider = new HeightfieldCollider(this.heightmap);
+    }
+    
+    /**
+     * Sample the terrain height
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @returns {number} - Height in meters
+     */
+    getHeightAt(x, z) {
+        return this.collider.getHeightAt(x, z);
+    }
+    
+    /**
+     * Sample the terrain normal
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @param {Vector3} target - Vector to write into
+     * @returns {Vector3} - Surface normal
+     */
+    getNormalAt(x, z, target = new Vector3()) {
+        return this.collider.getNormalAt(x, z, target);
+    }
+}
\ No newline at end of file
@@ -1,12 +1,15 @@
 // src/physics/PhysicsWorld.js
 import { Vector3 } from 'three';
-import { PhysicsBody, StaticBody } from './PhysicsBody.js';
+import { PhysicsBody, StaticBody, TerrainBody } from './PhysicsBody.js';
+import { RaycastResult } from './RaycastResult.js';
+import { SpatialHash } from '../engine/SpatialHash.js';
 
 export class PhysicsWorld {
     constructor(engine) {
         this.engine = engine;
         this.bodies = [];
         this.staticBodies = [];  // Separate array for static bodies
+        this.terrain = null; // Heightmap terrain, if the map has one
         this.gravity = new Vector3(0, engine.config.gravity, 0);
         this.accumulator = 0;
         this.fixedTimeStep = 1 / engine.config.physicsFPS;
@@ -15,6 +18,21 @@ export class PhysicsWorld {
         this.groundThreshold = 0.15; // Higher threshold for ground detection
         this.groundRayDistance = 0.2; // Distance to check for ground
         
+        // Broadphase - dynamic bodies are re-hashed every step, static ones only when they change
+        this.dynamicHash = new SpatialHash(4);
+        this.staticHash = new SpatialHash(4);
+        this.staticHashDirty = true;
+        this.broadphaseMargin = 0.1; // Slack for bodies moved by earlier resolutions
+        this.bodyIndices = new Map();
+        this.broadphaseCandidates = [];
+        
+        // Pair counts from the last physics step
+        this.broadphaseStats = {
+            candidatePairs: 0,
+            naivePairs: 0,
+            contacts: 0
+        };
+        
         // Debug
         this.debugDraw = false;
     }
@@ -34,9 +52,16 @@ export class PhysicsWorld {
             return null;
         }
         
+        // Terrain isn't collided pairwise - it sets the ground height instead
+        if (body instanceof TerrainBody) {
+            this.terrain = body;
+            return body;
+        }
+        
         // Add to appropriate array based on static status
         if (body.isStatic) {
             this.staticBodies.push(body);
+            this.staticHashDirty = true;
         } else {
             this.bodies.push(body);
         }
@@ -49,10 +74,16 @@ export class PhysicsWorld {
      * @param {PhysicsBody} body - Body to remove
      */
     removeBody(body) {
+        if (body === this.terrain) {
+            this.terrain = null;
+            return;
+        }
+        
         if (body.isStatic) {
             const index = this.staticBodies.indexOf(body);
             if (index !== -1) {
                 this.staticBodies.splice(index, 1);
+                this.staticHashDirty = true;
             }
         } else {
             const index = this.bodies.indexOf(body);
@@ -76,6 +107,79 @@ export class PhysicsWorld {
             this.bodies = [];
             this.staticBodies = [];
         }
+        
+        this.terrain = null;
+        this.staticHashDirty = true;
+    }
+    
+    /**
+     * Get the ground height at a position
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @returns {number} - Terrain height, or 0 on flat maps
+     */
+    getGroundHeight(x, z) {
+        return this.terrain ? this.terrain.getHeightAt(x, z) : 0;
+    }
+    
+    /**
+     * Get the ground normal at a position
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @param {Vector3} target - Vector to write into
+     * @returns {Vector3} - Terrain normal, or straight up on flat maps
+     */
+    getGroundNormal(x, z, target = new Vector3()) {
+        return this.terrain ? this.terrain.getNormalAt(x, z, target) : target.set(0, 1, 0);
+    }
+    
+    /**
+     * Cast a ray against static world geometry and terrain
+     * @param {Vector3} origin - Ray origin
+     * @param {Vector3} direction - Ray direction
+     * @param {number} maxDistance - Maximum distance to check
+     * @param {RaycastResult} result - Optional result to fill in
+     * @returns {RaycastResult} - Closest hit, or a result with hit = false
+     */
+    raycast(origin, direction, maxDistance = Infinity, result = new RaycastResult()) {
+        result.reset();
+        
+        const rayDirection = direction.clone().normalize();
+        const bodies = this.terrain ? [...this.staticBodies, this.terrain] : this.staticBodies;
+        
+        for (const body of bodies) {
+            if (!body.collider) continue;
+            
+            const hit = body.collider.raycast(origin, rayDirection, maxDistance);
+            
+            if (hit && hit.distance < result.distance) {
+                result.hit = true;
+                result.distance = hit.distance;
+                result.normal.copy(hit.normal);
+                result.body = body;
+            }
+        }
+        
+        if (result.hit) {
+            result.point.copy(origin).addScaledVector(rayDirection, result.distance);
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Check whether static geometry blocks the line between two points
+     * @param {Vector3} from - Start point
+     * @param {Vector3} to - End point
+     * @returns {boolean} - True if nothing is in the way
+     */
+    hasLineOfSight(from, to) {
+        const direction = new Vector3().subVectors(to, from);
+        const distance = direction.length();
+        
+        if (distance === 0) return true;
+        
+        return !this.raycast(from, direction, distance).hit;
     }
     
     /**
@@ -118,29 +222,94 @@ export class PhysicsWorld {
      * Detect and resolve all collisions
      */
     detectCollisions() {
-        // Dynamic vs dynamic collisions
+        this.updateBroadphase();
+        
+        const stats = this.broadphaseStats;
+        const candidates = this.broadphaseCandidates;
+        stats.candidatePairs = 0;
+        stats.contacts = 0;
+        
         for (let i = 0; i < this.bodies.length; i++) {
             const bodyA = this.bodies[i];
+            const radius = this.getBroadphaseRadius(bodyA);
             
             // Check world bounds (ground collision)
             this.checkWorldBounds(bodyA);
             
-            // Check against other dynamic bodies
-            for (let j = i + 1; j < this.bodies.length; j++) {
-                const bodyB = this.bodies[j];
+            // Check against nearby dynamic bodies, testing each pair once
+            candidates.length = 0;
+            this.dynamicHash.query(bodyA.position.x, bodyA.position.z, radius, candidates);
+            
+            for (const bodyB of candidates) {
+                if (this.bodyIndices.get(bodyB) <= i) continue;
+                
+                stats.candidatePairs++;
                 
                 if (this.checkCollision(bodyA, bodyB)) {
+                    stats.contacts++;
                     this.resolveCollision(bodyA, bodyB);
                 }
             }
             
-            // Check against static bodies
-            for (const staticBody of this.staticBodies) {
+            // Check against nearby static bodies
+            candidates.length = 0;
+            this.staticHash.query(bodyA.position.x, bodyA.position.z, radius, candidates);
+            
+            for (const staticBody of candidates) {
+                stats.candidatePairs++;
+                
                 if (this.checkCollision(bodyA, staticBody)) {
+                    stats.contacts++;
                     this.resolveCollision(bodyA, staticBody);
                 }
             }
         }
+        
+        // What the brute-force loop would have tested
+        const dynamicCount = this.bodies.length;
+        stats.naivePairs = dynamicCount * (dynamicCount - 1) / 2 + dynamicCount * this.staticBodies.length;
+    }
+    
+    /**
+     * Re-hash dynamic bodies, and static bodies if any were added or removed
+     */
+    updateBroadphase() {
+        if (this.staticHashDirty) {
+            this.staticHash.clear();
+            
+            for (const body of this.staticBodies) {
+                this.staticHash.insert(body, body.position.x, body.position.z, this.getBroadphaseRadius(body));
+            }
+            
+            this.staticHashDirty = false;
+        }
+        
+        this.dynamicHash.clear();
+        this.bodyIndices.clear();
+        
+        for (let i = 0; i < this.bodies.length; i++) {
+            const body = this.bodies[i];
+            this.dynamicHash.insert(body, body.position.x, body.position.z, this.getBroadphaseRadius(body));
+            this.bodyIndices.set(body, i);
+        }
+    }
+    
+    /**
+     * Get the half size of a body's footprint on the XZ plane
+     * @param {PhysicsBody} body - Body to measure
+     * @returns {number} - Broadphase radius including margin
+     */
+    getBroadphaseRadius(body) {
+        let radius = body.radius || 0;
+        
+        if (body.collider && body.collider.boundingRadius !== undefined) {
+            // Rotated boxes can reach further than their half extents
+            radius = body.collider.boundingRadius;
+        } else if (body.halfExtents) {
+            radius = Math.max(body.halfExtents.x, body.halfExtents.z);
+        }
+        
+        return radius + this.broadphaseMargin;
     }
     
     /**
@@ -150,10 +319,12 @@ export class PhysicsWorld {
     checkWorldBounds(body) {
         // Improved ground detection - only considers the player on ground if they're close
         // Prevents getting stuck but still allows jumping
-        if (body.position.y < this.groundThreshold) {
+        const groundHeight = this.getGroundHeight(body.position.x, body.position.z);
+        
+        if (body.position.y < groundHeight + this.groundThreshold) {
             // Position correction - more height to avoid sticking
-            if (body.position.y < 0) {
-                body.position.y = 0.05; // Slightly more lift to avoid sticking
+            if (body.position.y < groundHeight) {
+                body.position.y = groundHeight + 0.05; // Slightly more lift to avoid sticking
             }
             
             // Determine if ground state needs to be updated
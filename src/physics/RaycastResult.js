@@ -21,6 +21,12 @@ export class RaycastResult {
         
         // Body that was hit
         this.body = options.body || null;
+        
+        // Scene object that was hit (for render-side raycasts)
+        this.object = options.object || null;
+        
+        // Entity owning the hit object or body
+        this.entity = options.entity || null;
     }
     
     /**
@@ -34,6 +40,8 @@ export class RaycastResult {
         this.point.copy(other.point);
         this.normal.copy(other.normal);
         this.body = other.body;
+        this.object = other.object;
+        this.entity = other.entity;
         return this;
     }
     
@@ -47,6 +55,8 @@ export class RaycastResult {
         this.point.set(0, 0, 0);
         this.normal.set(0, 1, 0);
         this.body = null;
+        this.object = null;
+        this.entity = null;
         return this;
     }
 }
\ No newline at end of file
@@ -21,7 +21,7 @@ export class InteractionSystem {
         const input = this.engine.input;
         
         // Interact key
-        input.onKeyDown('KeyE', () => {
+        input.onActionDown('interact', () => {
             this.interact();
         });
     }
@@ -71,8 +71,16 @@ export class InteractionSystem {
         
         // Update UI prompt
         if (this.currentInteractable) {
-            this.showInteractionPrompt("Press E to pick up " + 
-                (this.currentInteractable.weapon ? this.currentInteractable.weapon.name : "weapon"));
+            const key = this.engine.input.getBindingLabel('interact');
+            const weapon = this.currentInteractable.weapon;
+            const replaced = weapon ? this.player.weaponManager.getReplacedWeapon(weapon) : null;
+            
+            if (replaced) {
+                this.showInteractionPrompt(`Press ${key} to swap ${replaced.name} for ${weapon.name}`);
+            } else {
+                this.showInteractionPrompt(`Press ${key} to pick up ` + 
+                    (weapon ? weapon.name : "weapon"));
+            }
         } else {
             this.hideInteractionPrompt();
         }
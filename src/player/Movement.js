@@ -1,5 +1,9 @@
 // src/player/Movement.js
 import { Vector3, Quaternion, Euler } from 'three';
+import { RaycastResult } from '../physics/RaycastResult.js';
+
+const DOWN = new Vector3(0, -1, 0);
+const UP = new Vector3(0, 1, 0);
 
 export class Movement {
     constructor(player) {
@@ -9,6 +13,7 @@ export class Movement {
         // Movement parameters - AAA FPS values
         this.walkSpeed = 6.0; // Base speed
         this.runSpeed = 10.0; // Sprint speed
+        this.crouchSpeed = 3.0; // Crouch walking speed
         this.maxSpeed = 12.0; // Cap for absolute maximum speed
         
         // High initial acceleration for responsive feel
@@ -42,14 +47,68 @@ export class Movement {
         this.directionChangeTime = 0;
         this.hasChangedDirection = false;
         this.directionChangeThreshold = 0.85; // Cosine of angle threshold for direction change
+        
+        // Footsteps - only sprinting ones are loud enough for zombies to hear
+        this.footstepInterval = 0.35; // Seconds between sprint footsteps
+        this.walkFootstepInterval = 0.5;
+        this.crouchFootstepInterval = 0.7;
+        this.crouchFootstepVolume = 0.4;
+        this.sprintNoiseLoudness = 15; // Hearing radius in meters
+        this.footstepTimer = 0;
+        
+        // Crouching shrinks the capsule, keeping its bottom on the ground
+        this.standingHeight = player.physicsBody.height;
+        this.crouchHeight = 1.1;
+        this.isCrouching = false;
+        
+        // Sliding - sprinting into a crouch coasts on reduced ground friction
+        this.slideMinSpeed = 7.0; // Horizontal speed needed to start a slide
+        this.slideBoost = 2.0; // Speed added when the slide starts
+        this.slideFrictionMultiplier = 0.15; // Fraction of ground friction while sliding
+        this.slideSteering = 2.0; // How quickly input can bend the slide
+        this.slideNoiseLoudness = 8; // Hearing radius in meters
+        this.isSliding = false;
+        
+        // Steps and slopes
+        this.maxStepHeight = 0.35; // Tallest ledge walked onto without jumping
+        this.stepProbeDistance = 0.3; // How far past the body to look for steps
+        this.maxSlopeAngle = 45; // Degrees - steeper ground can't be walked up
+        this.slopeSlideAcceleration = 15.0; // Pull down slopes that are too steep
+        this.groundProbeDistance = 0.3; // Extra reach below the body when looking for ground
+        this.stepSmoothingSpeed = 4.0; // Meters per second the camera catches up after a step
+        
+        // Ground state from the last probe
+        this.groundNormal = new Vector3(0, 1, 0);
+        this.groundHeight = 0;
+        this.isTouchingGround = false;
+        this.isOnSteepSlope = false;
+        this.stepOffset = 0; // Camera lag after stepping up
+        
+        // Scratch objects for probes
+        this.probeOrigin = new Vector3();
+        this.probeDirection = new Vector3();
+        this.probeResult = new RaycastResult();
     }
     
     update(deltaTime) {
+        // Find the surface under the player
+        this.probeGround();
+        
+        // Enter or leave crouch as the key and ceiling allow
+        this.updateCrouch();
+        
         // Get movement input
         const moveInput = this.player.moveInput.clone();
         const hasInput = moveInput.lengthSq() > 0;
         
-        if (hasInput) {
+        if (this.isSliding) {
+            // Coast on momentum, steering only slightly
+            if (hasInput) {
+                this.calculateMoveDirection(moveInput.lengthSq() > 1 ? moveInput.normalize() : moveInput);
+            }
+            
+            this.applySlide(deltaTime, hasInput);
+        } else if (hasInput) {
             // Handle active movement
             // Normalize input if needed
             if (moveInput.lengthSq() > 1) {
@@ -62,8 +121,8 @@ export class Movement {
             // Check for significant direction change
             this.detectDirectionChange();
             
-            // Calculate target velocity with speed
-            const speed = this.player.isSprinting ? this.runSpeed : this.walkSpeed;
+            // Calculate target velocity with speed - analog sticks can ask for less than full
+            const speed = this.getTargetSpeed() * moveInput.length();
             this.targetVelocity.copy(this.moveDirection).multiplyScalar(speed);
             
             // Apply acceleration with momentum preservation
@@ -79,6 +138,285 @@ export class Movement {
             this.lastDirection.copy(this.moveDirection);
         }
         this.lastSpeed = this.player.physicsBody.velocity.length();
+        
+        // Follow slopes, slide off steep ones and walk up small ledges
+        if (this.player.onGround || this.isOnSteepSlope) {
+            this.applySlope(deltaTime);
+        }
+        
+        if (this.player.onGround && hasInput) {
+            this.tryStepUp();
+        }
+        
+        this.stepOffset = Math.max(0, this.stepOffset - this.stepSmoothingSpeed * deltaTime);
+        
+        // Footstep sounds, and noise while sprinting
+        this.updateFootsteps(deltaTime, hasInput);
+    }
+    
+    updateFootsteps(deltaTime, hasInput) {
+        if (!hasInput || !this.player.onGround || this.isSliding) {
+            this.footstepTimer = 0;
+            return;
+        }
+        
+        this.footstepTimer -= deltaTime;
+        if (this.footstepTimer > 0) return;
+        
+        const isSprinting = this.player.isSprinting && !this.isCrouching;
+        
+        if (isSprinting) {
+            this.footstepTimer = this.footstepInterval;
+            this.engine.noise.emit(this.player.position, this.sprintNoiseLoudness, 'footstep');
+        } else {
+            this.footstepTimer = this.isCrouching ? this.crouchFootstepInterval : this.walkFootstepInterval;
+        }
+        
+        if (this.engine.audio) {
+            this.engine.audio.play('footstep', this.player.position, {
+                volume: this.isCrouching ? this.crouchFootstepVolume : 1.0
+            });
+        }
+    }
+    
+    /**
+     * Movement speed for the current stance
+     * @returns {number} - Target horizontal speed
+     */
+    getTargetSpeed() {
+        if (this.isCrouching) return this.crouchSpeed;
+        return this.player.isSprinting ? this.runSpeed : this.walkSpeed;
+    }
+    
+    /**
+     * Crouch while the key is held, sliding if already sprinting fast, and
+     * only stand back up when there's headroom
+     */
+    updateCrouch() {
+        if (this.player.crouchRequested) {
+            if (!this.isCrouching) {
+                this.startCrouch();
+            }
+        } else if (this.isCrouching && this.canStand()) {
+            this.stopCrouch();
+        }
+        
+        // Leaving the ground ends a slide
+        if (this.isSliding && !this.player.onGround && !this.isTouchingGround) {
+            this.isSliding = false;
+        }
+    }
+    
+    /**
+     * Shrink the player and start a slide if sprinting at speed
+     */
+    startCrouch() {
+        const body = this.player.physicsBody;
+        
+        this.isCrouching = true;
+        body.setHeight(this.crouchHeight);
+        
+        const velocity = body.velocity;
+        const speed = Math.sqrt(velocity.x * velocity.x + velocity.z * velocity.z);
+        
+        if (this.player.isSprinting && this.player.onGround && speed >= this.slideMinSpeed) {
+            this.isSliding = true;
+            
+            // Kick forward along the current heading
+            const boostedSpeed = Math.min(speed + this.slideBoost, this.maxSpeed);
+            velocity.x *= boostedSpeed / speed;
+            velocity.z *= boostedSpeed / speed;
+            
+            this.engine.noise.emit(this.player.position, this.slideNoiseLoudness, 'slide');
+        }
+    }
+    
+    /**
+     * Return to full height
+     */
+    stopCrouch() {
+        this.isCrouching = false;
+        this.isSliding = false;
+        this.player.physicsBody.setHeight(this.standingHeight);
+    }
+    
+    /**
+     * Check for a ceiling above the crouched player
+     * @returns {boolean} - True if there is room to stand up
+     */
+    canStand() {
+        const body = this.player.physicsBody;
+        
+        // Cast from the top of the crouched capsule up to where the standing one would reach
+        const origin = body.collider.getTop(this.probeOrigin);
+        origin.y += body.radius;
+        
+        const clearance = this.standingHeight - body.height + 0.05;
+        return !this.engine.physics.raycast(origin, UP, clearance, this.probeResult).hit;
+    }
+    
+    /**
+     * Slow a slide with reduced ground friction and let input bend its direction
+     * @param {number} deltaTime - Time since last frame
+     * @param {boolean} hasInput - Whether movement keys are held
+     */
+    applySlide(deltaTime, hasInput) {
+        const velocity = this.player.physicsBody.velocity;
+        let speed = Math.sqrt(velocity.x * velocity.x + velocity.z * velocity.z);
+        
+        // Friction as a damping factor, like applyFriction()
+        const damping = Math.max(0, 1 - this.groundFriction * this.slideFrictionMultiplier * deltaTime);
+        speed *= damping;
+        
+        // Slide over once it's down to crouch-walking pace
+        if (speed <= this.crouchSpeed) {
+            this.isSliding = false;
+        }
+        
+        if (speed < 0.001) {
+            velocity.x = 0;
+            velocity.z = 0;
+            return;
+        }
+        
+        const direction = this.probeDirection.set(velocity.x, 0, velocity.z).normalize();
+        
+        if (hasInput && this.moveDirection.lengthSq() > 0) {
+            direction.lerp(this.moveDirection, Math.min(this.slideSteering * deltaTime, 1));
+            
+            if (direction.lengthSq() > 0) direction.normalize();
+        }
+        
+        velocity.x = direction.x * speed;
+        velocity.z = direction.z * speed;
+    }
+    
+    /**
+     * Cosine of the max slope angle - ground normals with a lower Y are too steep
+     * @returns {number}
+     */
+    getMinGroundNormalY() {
+        return Math.cos(this.maxSlopeAngle * Math.PI / 180);
+    }
+    
+    /**
+     * Raycast down from inside the body to find the ground height and normal
+     */
+    probeGround() {
+        const body = this.player.physicsBody;
+        const physics = this.engine.physics;
+        const halfHeight = (body.height || 0) / 2;
+        
+        const origin = this.probeOrigin.copy(body.position);
+        origin.y += halfHeight;
+        
+        // Reach far enough to find steep slopes the body is leaning on
+        const radius = body.radius || 0;
+        const reach = halfHeight + radius * 3 + this.groundProbeDistance;
+        const hit = physics.raycast(origin, DOWN, reach, this.probeResult);
+        
+        if (hit.hit) {
+            this.groundHeight = hit.point.y;
+            this.groundNormal.copy(hit.normal);
+            
+            // Gap between the lower hemisphere and the surface, along its normal
+            const gap = (hit.distance - halfHeight) * hit.normal.y - radius;
+            this.isTouchingGround = gap <= this.groundProbeDistance;
+        } else {
+            this.groundHeight = physics.getGroundHeight(body.position.x, body.position.z);
+            physics.getGroundNormal(body.position.x, body.position.z, this.groundNormal);
+            this.isTouchingGround = this.player.onGround;
+        }
+        
+        this.isOnSteepSlope = this.isTouchingGround &&
+            this.groundNormal.y < this.getMinGroundNormalY();
+    }
+    
+    /**
+     * Keep grounded movement on the slope surface, or slide down it if it's too steep
+     * @param {number} deltaTime - Time since last frame
+     */
+    applySlope(deltaTime) {
+        const normal = this.groundNormal;
+        const velocity = this.player.physicsBody.velocity;
+        
+        if (normal.y >= 0.999 || normal.y <= 0) return;
+        
+        if (this.isOnSteepSlope) {
+            // Horizontal direction pointing down the slope
+            const downhill = this.probeDirection.set(normal.x, 0, normal.z).normalize();
+            
+            // Cancel any uphill motion
+            const uphillSpeed = -(velocity.x * downhill.x + velocity.z * downhill.z);
+            if (uphillSpeed > 0) {
+                velocity.x += downhill.x * uphillSpeed;
+                velocity.z += downhill.z * uphillSpeed;
+            }
+            
+            // Slide faster the steeper it gets
+            const slide = this.slopeSlideAcceleration * Math.sqrt(1 - normal.y * normal.y) * deltaTime;
+            velocity.x += downhill.x * slide;
+            velocity.z += downhill.z * slide;
+            return;
+        }
+        
+        // Don't pin the player to the slope on the frame they jump
+        if (this.player.jumpCount > 0) return;
+        
+        // Walkable slope - match vertical speed to the surface so ramps aren't walls
+        // and walking downhill doesn't launch the player off the ground
+        velocity.y = -(normal.x * velocity.x + normal.z * velocity.z) / normal.y;
+    }
+    
+    /**
+     * Lift the player onto a ledge ahead if it's no taller than maxStepHeight
+     * @returns {boolean} - True if the player stepped up
+     */
+    tryStepUp() {
+        const body = this.player.physicsBody;
+        const physics = this.engine.physics;
+        const velocity = body.velocity;
+        
+        const direction = this.probeDirection.set(velocity.x, 0, velocity.z);
+        if (direction.lengthSq() < 0.01) return false;
+        direction.normalize();
+        
+        const minNormalY = this.getMinGroundNormalY();
+        const reach = (body.radius || 0) + this.stepProbeDistance;
+        const origin = this.probeOrigin;
+        
+        // Something in the way just above the feet - walkable ramps are handled by applySlope()
+        origin.set(body.position.x, this.groundHeight + 0.05, body.position.z);
+        const low = physics.raycast(origin, direction, reach, this.probeResult);
+        if (!low.hit || low.normal.y >= minNormalY) return false;
+        
+        const edgeDistance = low.distance;
+        
+        // ...but clear at step height, otherwise it's a wall
+        origin.y = this.groundHeight + this.maxStepHeight + 0.05;
+        if (physics.raycast(origin, direction, reach, this.probeResult).hit) return false;
+        
+        // Find the top of the step just past its edge
+        origin.addScaledVector(direction, edgeDistance + 0.05);
+        const top = physics.raycast(origin, DOWN, this.maxStepHeight + 0.05, this.probeResult);
+        if (!top.hit || top.normal.y < minNormalY || top.point.y - this.groundHeight < 0.01) {
+            return false;
+        }
+        
+        // Bodies rest on structures by their lower hemisphere, but sit at terrain height
+        const restHeight = top.body === physics.terrain ? 0 : (body.radius || 0);
+        const lift = top.point.y + restHeight - body.position.y;
+        if (lift <= 0) return false;
+        
+        body.position.y += lift;
+        body.collider.updatePosition(body.position);
+        velocity.y = Math.max(0, velocity.y);
+        this.player.position.y = body.position.y;
+        
+        // Ease the camera up instead of snapping
+        this.stepOffset = Math.min(this.stepOffset + lift, this.maxStepHeight + restHeight);
+        
+        return true;
     }
     
     calculateMoveDirection(moveInput) {
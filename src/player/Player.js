@@ -14,8 +14,10 @@ export class Player {
         this.velocity = new Vector3();
         this.viewRotation = new Euler(0, 0, 0, 'YXZ'); // YXZ for FPS
         this.moveInput = new Vector3(); // Desired movement direction
+        this.isUsingStick = false; // Gamepad or touch stick is driving moveInput
         this.isJumping = false;
         this.isSprinting = false;
+        this.crouchRequested = false; // Crouch key held
         this.jumpCount = 0;
         this.maxJumps = engine.config.maxJumps || 2; // For double jump
         this.onGround = false;
@@ -26,6 +28,12 @@ export class Player {
         this.coyoteTime = 150; // Coyote time in ms
         this.lastGroundedTime = 0; // Last time player was on ground
         
+        // Noise made by jumping and landing (hearing radius in meters)
+        this.jumpNoiseLoudness = 6;
+        this.landNoiseLoudness = 10;
+        this.minAirTimeForLandNoise = 250; // ms
+        this.crouchNoiseMultiplier = 0.5; // Crouched jumps and landings are quieter
+        
         // Health system
         this.health = 100;
         this.maxHealth = 100;
@@ -41,6 +49,7 @@ export class Player {
             position: this.position.clone(),
             mass: 75, // kg
             radius: 0.5, // Collision radius
+            height: 1.8, // Total capsule height - collides as a capsule, not a sphere
             restitution: 0.0, // No bounce 
             friction: 0.1, // Low friction for smooth movement
             usesGravity: true
@@ -73,37 +82,73 @@ export class Player {
             this.rotate(dx, dy);
         });
         
-        // WASD movement - Responsive key handling
-        input.onKeyDown('KeyW', () => { this.moveInput.z = -1; });
-        input.onKeyUp('KeyW', () => { this.moveInput.z = 0; });
-        
-        input.onKeyDown('KeyS', () => { this.moveInput.z = 1; });
-        input.onKeyUp('KeyS', () => { this.moveInput.z = 0; });
-        
-        input.onKeyDown('KeyA', () => { this.moveInput.x = -1; });
-        input.onKeyUp('KeyA', () => { this.moveInput.x = 0; });
-        
-        input.onKeyDown('KeyD', () => { this.moveInput.x = 1; });
-        input.onKeyUp('KeyD', () => { this.moveInput.x = 0; });
+        // Movement - recomputed from all four actions so opposite keys cancel out
+        for (const action of ['moveForward', 'moveBackward', 'moveLeft', 'moveRight']) {
+            input.onActionDown(action, () => { this.updateMoveInput(); });
+            input.onActionUp(action, () => { this.updateMoveInput(); });
+        }
         
         // Jump - sets a flag and records time for buffer
-        input.onKeyDown('Space', () => { 
+        input.onActionDown('jump', () => { 
             this.jumpRequested = true;
             this.jumpBufferTime = performance.now();
         });
         
         // Sprint
-        input.onKeyDown('ShiftLeft', () => { this.isSprinting = true; });
-        input.onKeyUp('ShiftLeft', () => { this.isSprinting = false; });
+        input.onActionDown('sprint', () => { this.isSprinting = true; });
+        input.onActionUp('sprint', () => { this.isSprinting = false; });
+        
+        // Crouch - sprinting into it starts a slide
+        input.onActionDown('crouch', () => { this.crouchRequested = true; });
+        input.onActionUp('crouch', () => { this.crouchRequested = false; });
         
         // Toggle debug mode
-        input.onKeyDown('F3', () => { this.engine.debug.toggle(); });
+        input.onActionDown('toggleDebug', () => { this.engine.debug.toggle(); });
+    }
+    
+    updateAnalogInput() {
+        const input = this.engine.input;
+        
+        // Right stick look is already scaled to radians for this frame
+        const look = input.gamepadLook;
+        if (look.x !== 0 || look.y !== 0) {
+            this.applyLook(look.x, look.y);
+        }
+        
+        // Analog stick overrides the movement keys while it's deflected
+        const stick = input.getMoveStick();
+        if (stick.x !== 0 || stick.y !== 0) {
+            this.moveInput.set(stick.x, 0, stick.y);
+            this.isUsingStick = true;
+        } else if (this.isUsingStick) {
+            this.isUsingStick = false;
+            this.updateMoveInput();
+        }
+    }
+    
+    updateMoveInput() {
+        // Stick input is applied every frame in updateAnalogInput()
+        if (this.isUsingStick) return;
+        
+        const input = this.engine.input;
+        
+        this.moveInput.x = (input.isActionDown('moveRight') ? 1 : 0) - (input.isActionDown('moveLeft') ? 1 : 0);
+        this.moveInput.z = (input.isActionDown('moveBackward') ? 1 : 0) - (input.isActionDown('moveForward') ? 1 : 0);
     }
     
     rotate(dx, dy) {
         // Update camera rotation with mouse input
-        this.viewRotation.y -= dx * this.mouseSensitivity;
-        this.viewRotation.x -= dy * this.mouseSensitivity;
+        this.applyLook(dx * this.mouseSensitivity, dy * this.mouseSensitivity);
+    }
+    
+    /**
+     * Turn the view
+     * @param {number} yaw - Radians to turn right
+     * @param {number} pitch - Radians to look down
+     */
+    applyLook(yaw, pitch) {
+        this.viewRotation.y -= yaw;
+        this.viewRotation.x -= pitch;
         
         // Clamp vertical rotation to prevent over-rotation
         this.viewRotation.x = Math.max(
@@ -133,6 +178,8 @@ export class Player {
             
             // Apply jump boost via movement
             this.movement.applyJumpBoost();
+            
+            this.engine.noise.emit(this.position, this.getNoiseLoudness(this.jumpNoiseLoudness), 'jump');
             return true;
         } 
         else if (!canFirstJump && this.jumpCount < this.maxJumps) {
@@ -146,6 +193,15 @@ export class Player {
         return false;
     }
     
+    /**
+     * Scale a movement noise for the player's stance
+     * @param {number} loudness - Standing loudness
+     * @returns {number} - Loudness to emit
+     */
+    getNoiseLoudness(loudness) {
+        return this.movement.isCrouching ? loudness * this.crouchNoiseMultiplier : loudness;
+    }
+    
     takeDamage(amount) {
         const currentTime = performance.now();
         
@@ -217,6 +273,7 @@ export class Player {
         this.position.set(0, 2, 0);
         this.physicsBody.position.copy(this.position);
         this.physicsBody.velocity.set(0, 0, 0);
+        this.movement.stopCrouch();
         
         // Update UI
         this.updateHealthUI();
@@ -224,8 +281,14 @@ export class Player {
         console.log("Player respawned");
     }
     
-    equipWeapon(weapon) {
-        this.weaponManager.addWeapon(weapon);
+    /**
+     * Add a weapon to the inventory and switch to it
+     * @param {Weapon} weapon - Weapon to carry
+     * @param {Vector3} dropPosition - Where a swapped-out weapon lands
+     * @returns {Weapon|null} - The weapon it replaced, if any
+     */
+    equipWeapon(weapon, dropPosition = null) {
+        return this.weaponManager.addWeapon(weapon, dropPosition);
     }
     
     update(deltaTime) {
@@ -245,6 +308,11 @@ export class Player {
         // If just landed, record time and reset jump count
         if (this.onGround && !wasOnGround) {
             this.jumpCount = 0;
+            
+            // Ignore ground contact flicker - only real falls make noise
+            if (currentTime - this.lastGroundedTime > this.minAirTimeForLandNoise) {
+                this.engine.noise.emit(this.position, this.getNoiseLoudness(this.landNoiseLoudness), 'land');
+            }
         }
         
         // If just left ground, record the time for coyote time
@@ -267,6 +335,9 @@ export class Player {
             }
         }
         
+        // Gamepad and touch sticks
+        this.updateAnalogInput();
+        
         // Update movement based on input
         this.movement.update(deltaTime);
         
@@ -0,0 +1,441 @@
+// src/renderer/EffectsSystem.js
+import {
+    Group,
+    Sprite,
+    SpriteMaterial,
+    PointLight,
+    Line,
+    LineBasicMaterial,
+    BufferGeometry,
+    Float32BufferAttribute,
+    Mesh,
+    PlaneGeometry,
+    MeshBasicMaterial,
+    CanvasTexture,
+    AdditiveBlending,
+    Vector3,
+    Quaternion
+} from 'three';
+
+// Planes face +Z before being turned to a surface normal
+const PLANE_NORMAL = new Vector3(0, 0, 1);
+
+/**
+ * Pooled visual feedback for gunfire: muzzle flash, tracers, impact decals and puffs, and blood spray.
+ * Every pool has a fixed size and recycles its oldest item, so sustained fire never adds objects to the scene.
+ */
+export class EffectsSystem {
+    constructor(engine) {
+        this.engine = engine;
+        
+        // Pool sizes
+        this.maxTracers = 32;
+        this.maxDecals = 64;
+        this.maxParticles = 160;
+        
+        // Muzzle flash
+        this.flashDuration = 0.05; // seconds
+        this.flashSize = 0.35;
+        this.flashLightIntensity = 4.0;
+        this.flashLightRange = 8.0;
+        
+        // Tracers
+        this.tracerDuration = 0.06; // seconds
+        this.tracerColor = 0xffdd88;
+        
+        // Decals
+        this.decalSize = 0.12;
+        this.decalLifetime = 20.0; // seconds before fading out
+        this.decalFadeTime = 2.0;
+        
+        // Particles
+        this.particleGravity = -9.8;
+        
+        // Everything lives under one group that hitscan skips
+        this.root = new Group();
+        this.root.name = 'effects';
+        this.root.userData.ignoreRaycast = true;
+        
+        this.flash = null;
+        this.flashLight = null;
+        this.flashTimer = 0;
+        
+        this.tracers = [];
+        this.decals = [];
+        this.particles = [];
+        this.nextTracer = 0;
+        this.nextDecal = 0;
+        this.nextParticle = 0;
+        
+        // Scratch objects
+        this.tempVector = new Vector3();
+        this.tempQuaternion = new Quaternion();
+    }
+    
+    init() {
+        const flashTexture = this.createRadialTexture([
+            [0, 'rgba(255, 255, 230, 1)'],
+            [0.3, 'rgba(255, 200, 80, 0.9)'],
+            [1, 'rgba(255, 120, 0, 0)']
+        ]);
+        const holeTexture = this.createRadialTexture([
+            [0, 'rgba(10, 10, 10, 1)'],
+            [0.35, 'rgba(25, 22, 20, 0.9)'],
+            [1, 'rgba(40, 35, 30, 0)']
+        ]);
+        const particleTexture = this.createRadialTexture([
+            [0, 'rgba(255, 255, 255, 1)'],
+            [1, 'rgba(255, 255, 255, 0)']
+        ]);
+        
+        // Muzzle flash sprite, borrowed by whichever weapon fires
+        this.flash = new Sprite(new SpriteMaterial({
+            map: flashTexture,
+            blending: AdditiveBlending,
+            depthWrite: false,
+            transparent: true
+        }));
+        this.flash.visible = false;
+        this.root.add(this.flash);
+        
+        // The light stays in the scene at zero intensity - adding and removing lights recompiles materials
+        this.flashLight = new PointLight(0xffaa55, 0, this.flashLightRange);
+        this.root.add(this.flashLight);
+        
+        for (let i = 0; i < this.maxTracers; i++) {
+            const geometry = new BufferGeometry();
+            geometry.setAttribute('position', new Float32BufferAttribute(new Float32Array(6), 3));
+            
+            const line = new Line(geometry, new LineBasicMaterial({
+                color: this.tracerColor,
+                blending: AdditiveBlending,
+                depthWrite: false,
+                transparent: true
+            }));
+            line.frustumCulled = false;
+            line.visible = false;
+            this.root.add(line);
+            
+            this.tracers.push({ line, age: 0 });
+        }
+        
+        const decalGeometry = new PlaneGeometry(1, 1);
+        for (let i = 0; i < this.maxDecals; i++) {
+            const mesh = new Mesh(decalGeometry, new MeshBasicMaterial({
+                map: holeTexture,
+                transparent: true,
+                depthWrite: false,
+                polygonOffset: true,
+                polygonOffsetFactor: -4
+            }));
+            mesh.visible = false;
+            this.root.add(mesh);
+            
+            this.decals.push({ mesh, age: 0 });
+        }
+        
+        for (let i = 0; i < this.maxParticles; i++) {
+            const sprite = new Sprite(new SpriteMaterial({
+                map: particleTexture,
+                depthWrite: false,
+                transparent: true
+            }));
+            sprite.visible = false;
+            this.root.add(sprite);
+            
+            this.particles.push({
+                sprite,
+                velocity: new Vector3(),
+                age: 0,
+                life: 0,
+                size: 0,
+                growth: 0,
+                gravityScale: 0
+            });
+        }
+        
+        this.engine.renderer.scene.add(this.root);
+    }
+    
+    /**
+     * Draw a radial gradient for sprites and decals
+     * @param {Array} stops - [offset, color] pairs from the center out
+     * @returns {CanvasTexture} - Texture
+     */
+    createRadialTexture(stops) {
+        const size = 64;
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        
+        const context = canvas.getContext('2d');
+        const gradient = context.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size / 2);
+        for (const [offset, color] of stops) {
+            gradient.addColorStop(offset, color);
+        }
+        
+        context.fillStyle = gradient;
+        context.fillRect(0, 0, size, size);
+        
+        return new CanvasTexture(canvas);
+    }
+    
+    /**
+     * Flash at a weapon's muzzle
+     * @param {Weapon} weapon - Weapon that fired
+     * @param {Vector3} muzzlePosition - Muzzle in world space
+     */
+    muzzleFlash(weapon, muzzlePosition) {
+        if (!this.flash) return;
+        
+        // Ride on the viewmodel so the flash follows sway and kick
+        weapon.weaponHolder.add(this.flash);
+        weapon.getMuzzleLocalPosition(this.flash.position);
+        
+        const size = this.flashSize * (0.8 + Math.random() * 0.4);
+        this.flash.scale.set(size, size, 1);
+        this.flash.material.rotation = Math.random() * Math.PI * 2;
+        this.flash.visible = true;
+        
+        this.flashLight.position.copy(muzzlePosition);
+        this.flashLight.intensity = this.flashLightIntensity;
+        
+        this.flashTimer = this.flashDuration;
+    }
+    
+    /**
+     * Show a bullet's path and what it hit
+     * @param {Vector3} from - Tracer start, usually the muzzle
+     * @param {RaycastResult} result - Hitscan result
+     * @param {Vector3} rayOrigin - Hitscan origin
+     * @param {Vector3} rayDirection - Hitscan direction
+     * @param {number} range - Hitscan range, for misses
+     */
+    bulletPath(from, result, rayOrigin, rayDirection, range) {
+        const end = result.hit ?
+            result.point :
+            this.tempVector.copy(rayOrigin).addScaledVector(rayDirection, range);
+        
+        this.spawnTracer(from, end);
+        
+        if (result.hit) {
+            this.impact(result, rayDirection);
+        }
+    }
+    
+    /**
+     * React to a hit - blood for zombies, a hole and dust for the world, each with its impact sound
+     * @param {RaycastResult} result - Hitscan hit
+     * @param {Vector3} rayDirection - Direction the bullet travelled
+     */
+    impact(result, rayDirection) {
+        const entity = result.entity;
+        const audio = this.engine.audio;
+        
+        if (entity && entity.type === 'zombie') {
+            this.spawnBlood(result.point, result.normal, rayDirection);
+            if (audio) audio.play('impact_flesh', result.point);
+            return;
+        }
+        
+        // Only static surfaces (structures, terrain) keep a bullet hole - entities move
+        if (!entity) {
+            this.spawnDecal(result.point, result.normal);
+        }
+        
+        this.spawnPuff(result.point, result.normal);
+        if (audio) audio.play('impact', result.point);
+    }
+    
+    spawnTracer(from, to) {
+        if (this.tracers.length === 0) return;
+        
+        const tracer = this.tracers[this.nextTracer];
+        this.nextTracer = (this.nextTracer + 1) % this.tracers.length;
+        
+        const positions = tracer.line.geometry.attributes.position;
+        positions.setXYZ(0, from.x, from.y, from.z);
+        positions.setXYZ(1, to.x, to.y, to.z);
+        positions.needsUpdate = true;
+        
+        tracer.line.material.opacity = 1;
+        tracer.line.visible = true;
+        tracer.age = 0;
+    }
+    
+    spawnDecal(point, normal) {
+        if (this.decals.length === 0) return;
+        
+        const decal = this.decals[this.nextDecal];
+        this.nextDecal = (this.nextDecal + 1) % this.decals.length;
+        
+        const mesh = decal.mesh;
+        mesh.position.copy(point).addScaledVector(normal, 0.005);
+        
+        // Face along the surface normal with a random spin
+        mesh.quaternion.setFromUnitVectors(PLANE_NORMAL, normal);
+        mesh.quaternion.multiply(this.tempQuaternion.setFromAxisAngle(PLANE_NORMAL, Math.random() * Math.PI * 2));
+        
+        const size = this.decalSize * (0.8 + Math.random() * 0.4);
+        mesh.scale.set(size, size, 1);
+        
+        mesh.material.opacity = 1;
+        mesh.visible = true;
+        decal.age = 0;
+    }
+    
+    spawnPuff(point, normal) {
+        this.spawnParticles(point, normal, {
+            count: 5,
+            color: 0xa09888,
+            speed: 1.5,
+            spread: 0.6,
+            life: 0.4,
+            size: 0.12,
+            growth: 0.4,
+            gravityScale: -0.05
+        });
+    }
+    
+    spawnBlood(point, normal, rayDirection) {
+        // Some spray back toward the shooter, some out of the exit side
+        this.spawnParticles(point, normal, {
+            count: 6,
+            color: 0x8a0303,
+            speed: 2.5,
+            spread: 0.8,
+            life: 0.5,
+            size: 0.08,
+            growth: 0.1,
+            gravityScale: 1
+        });
+        this.spawnParticles(point, rayDirection, {
+            count: 4,
+            color: 0x6a0202,
+            speed: 3.5,
+            spread: 0.5,
+            life: 0.5,
+            size: 0.06,
+            growth: 0.05,
+            gravityScale: 1
+        });
+    }
+    
+    /**
+     * Emit a burst of particles
+     * @param {Vector3} position - Origin
+     * @param {Vector3} direction - Main direction
+     * @param {Object} options - count, color, speed, spread, life, size, growth, gravityScale
+     */
+    spawnParticles(position, direction, options) {
+        if (this.particles.length === 0) return;
+        
+        for (let i = 0; i < options.count; i++) {
+            const particle = this.particles[this.nextParticle];
+            this.nextParticle = (this.nextParticle + 1) % this.particles.length;
+            
+            // Random direction around the main one
+            particle.velocity.set(
+                Math.random() * 2 - 1,
+                Math.random() * 2 - 1,
+                Math.random() * 2 - 1
+            ).multiplyScalar(options.spread).add(direction).normalize()
+                .multiplyScalar(options.speed * (0.5 + Math.random() * 0.5));
+            
+            particle.age = 0;
+            particle.life = options.life * (0.7 + Math.random() * 0.6);
+            particle.size = options.size;
+            particle.growth = options.growth;
+            particle.gravityScale = options.gravityScale;
+            
+            const sprite = particle.sprite;
+            sprite.position.copy(position);
+            sprite.scale.set(options.size, options.size, 1);
+            sprite.material.color.setHex(options.color);
+            sprite.material.opacity = 1;
+            sprite.visible = true;
+        }
+    }
+    
+    update(deltaTime) {
+        // Muzzle flash
+        if (this.flashTimer > 0) {
+            this.flashTimer -= deltaTime;
+            
+            if (this.flashTimer <= 0) {
+                this.flash.visible = false;
+                this.flashLight.intensity = 0;
+                
+                // Return the sprite so a dropped weapon doesn't keep it
+                this.root.add(this.flash);
+            }
+        }
+        
+        for (const tracer of this.tracers) {
+            if (!tracer.line.visible) continue;
+            
+            tracer.age += deltaTime;
+            if (tracer.age >= this.tracerDuration) {
+                tracer.line.visible = false;
+            } else {
+                tracer.line.material.opacity = 1 - tracer.age / this.tracerDuration;
+            }
+        }
+        
+        for (const decal of this.decals) {
+            if (!decal.mesh.visible) continue;
+            
+            decal.age += deltaTime;
+            const fade = (decal.age - this.decalLifetime) / this.decalFadeTime;
+            
+            if (fade >= 1) {
+                decal.mesh.visible = false;
+            } else if (fade > 0) {
+                decal.mesh.material.opacity = 1 - fade;
+            }
+        }
+        
+        for (const particle of this.particles) {
+            const sprite = particle.sprite;
+            if (!sprite.visible) continue;
+            
+            particle.age += deltaTime;
+            if (particle.age >= particle.life) {
+                sprite.visible = false;
+                continue;
+            }
+            
+            particle.velocity.y += this.particleGravity * particle.gravityScale * deltaTime;
+            sprite.position.addScaledVector(particle.velocity, deltaTime);
+            
+            const t = particle.age / particle.life;
+            const size = particle.size + particle.growth * t;
+            sprite.scale.set(size, size, 1);
+            sprite.material.opacity = 1 - t;
+        }
+    }
+    
+    /**
+     * Hide every active effect, e.g. when the map changes
+     */
+    clear() {
+        if (this.flash) {
+            this.flash.visible = false;
+            this.flashLight.intensity = 0;
+            this.root.add(this.flash);
+        }
+        this.flashTimer = 0;
+        
+        for (const tracer of this.tracers) {
+            tracer.line.visible = false;
+        }
+        
+        for (const decal of this.decals) {
+            decal.mesh.visible = false;
+        }
+        
+        for (const particle of this.particles) {
+            particle.sprite.visible = false;
+        }
+    }
+}
\ No newline at end of file
@@ -11,11 +11,13 @@ import {
     BoxGeometry,
     RepeatWrapping,
     Vector2,
-    Vector3
+    Vector3,
+    Euler
 } from 'three';
 import { Lighting } from './Lighting.js';
 import { Skybox } from './Skybox.js';
-import { GroundPlane, BoxObstacle } from '../physics/PhysicsBody.js';
+import { GroundPlane, BoxObstacle, TerrainBody } from '../physics/PhysicsBody.js';
+import { Heightmap } from '../maps/Heightmap.js';
 
 export class Renderer {
     constructor(engine) {
@@ -78,10 +80,30 @@ export class Renderer {
     createTerrain(terrainData) {
         const { size, texture } = terrainData;
         
+        // Heightmap terrain falls back to a flat plane if its data is unusable
+        const heightmap = terrainData.type === 'heightmap'
+            ? Heightmap.fromTerrainData(terrainData, this.engine.assetManager)
+            : null;
+        
+        // One segment per height sample, capped to keep the mesh reasonable
+        const segmentsX = heightmap ? Math.min(heightmap.resolutionX - 1, 256) : 32;
+        const segmentsZ = heightmap ? Math.min(heightmap.resolutionZ - 1, 256) : 32;
+        
         // Create ground plane
-        const geometry = new PlaneGeometry(size.x, size.z, 32, 32);
+        const geometry = new PlaneGeometry(size.x, size.z, segmentsX, segmentsZ);
         geometry.rotateX(-Math.PI / 2); // Rotate to horizontal
         
+        if (heightmap) {
+            // Displace vertices using the same sampling as the physics terrain
+            const positions = geometry.attributes.position;
+            for (let i = 0; i < positions.count; i++) {
+                positions.setY(i, heightmap.getHeightAt(positions.getX(i), positions.getZ(i)));
+            }
+            
+            positions.needsUpdate = true;
+            geometry.computeVertexNormals();
+        }
+        
         // Get texture from asset manager
         const textureObj = this.engine.assetManager.getTexture(texture);
         if (!textureObj) {
@@ -110,61 +132,80 @@ export class Renderer {
         this.scene.add(terrain);
         this.mapObjects.push(terrain);
         
-        // Create physics ground plane
-        const groundPlane = new GroundPlane({
-            position: new Vector3(0, 0, 0),
-            normal: new Vector3(0, 1, 0),
-            restitution: 0.3,
-            friction: 0.8
-        });
+        // Create physics ground - heightfield or flat plane
+        const groundBody = heightmap
+            ? new TerrainBody({
+                position: new Vector3(0, 0, 0),
+                heightmap,
+                restitution: 0.3,
+                friction: 0.8
+            })
+            : new GroundPlane({
+                position: new Vector3(0, 0, 0),
+                normal: new Vector3(0, 1, 0),
+                restitution: 0.3,
+                friction: 0.8
+            });
         
         // Add to physics world
-        this.engine.physics.addBody(groundPlane);
+        this.engine.physics.addBody(groundBody);
         
         return {
             mesh: terrain,
-            physicsBody: groundPlane
+            physicsBody: groundBody
         };
     }
     
     createStructure(structureData) {
         const { type, position, scale, texture, rotation } = structureData;
         
-        let mesh = null;
-        let physicsBody = null;
+        // Break the structure into boxes based on type
+        let parts = null;
         
-        // Create mesh based on type
         if (type === 'box') {
-            // Create box geometry
-            const geometry = new BoxGeometry(scale.x, scale.y, scale.z);
-            
-            // Get texture
-            const textureObj = this.engine.assetManager.getTexture(texture);
-            if (!textureObj) {
-                console.error(`Structure texture not found: ${texture}`);
-                return null;
-            }
-            
-            // Create material
-            const material = new MeshStandardMaterial({
-                map: textureObj,
-                roughness: 0.7,
-                metalness: 0.3
-            });
-            
+            parts = [{
+                position: new Vector3(position.x, position.y, position.z),
+                size: new Vector3(scale.x, scale.y, scale.z),
+                rotation: new Euler(
+                    rotation ? rotation.x || 0 : 0,
+                    rotation ? rotation.y || 0 : 0,
+                    rotation ? rotation.z || 0 : 0
+                )
+            }];
+        } else if (type === 'ramp') {
+            parts = this.getRampParts(structureData);
+        } else if (type === 'stairs') {
+            parts = this.getStairParts(structureData);
+        }
+        
+        if (!parts) {
+            return null;
+        }
+        
+        // Get texture
+        const textureObj = this.engine.assetManager.getTexture(texture);
+        if (!textureObj) {
+            console.error(`Structure texture not found: ${texture}`);
+            return null;
+        }
+        
+        // Create material
+        const material = new MeshStandardMaterial({
+            map: textureObj,
+            roughness: 0.7,
+            metalness: 0.3
+        });
+        
+        const meshes = [];
+        const physicsBodies = [];
+        
+        for (const part of parts) {
             // Create mesh
-            mesh = new Mesh(geometry, material);
+            const mesh = new Mesh(new BoxGeometry(part.size.x, part.size.y, part.size.z), material);
             
             // Apply position and rotation
-            mesh.position.set(position.x, position.y, position.z);
-            
-            if (rotation) {
-                mesh.rotation.set(
-                    rotation.x || 0,
-                    rotation.y || 0,
-                    rotation.z || 0
-                );
-            }
+            mesh.position.copy(part.position);
+            mesh.rotation.copy(part.rotation);
             
             // Setup shadows
             mesh.castShadow = true;
@@ -173,30 +214,104 @@ export class Renderer {
             // Add to scene
             this.scene.add(mesh);
             this.mapObjects.push(mesh);
+            meshes.push(mesh);
             
             // Create physics body for box
-            physicsBody = new BoxObstacle({
-                position: new Vector3(position.x, position.y, position.z),
-                halfExtents: new Vector3(scale.x / 2, scale.y / 2, scale.z / 2),
+            const hasRotation = part.rotation.x || part.rotation.y || part.rotation.z;
+            const physicsBody = new BoxObstacle({
+                position: part.position.clone(),
+                halfExtents: part.size.clone().multiplyScalar(0.5),
+                rotation: hasRotation ? 
+                    new Vector3(part.rotation.x, part.rotation.y, part.rotation.z) : 
+                    undefined,
+                rotationOrder: part.rotation.order,
                 restitution: 0.2,
                 friction: 0.5
             });
             
             // Add to physics world
             this.engine.physics.addBody(physicsBody);
-        } 
-        // Other structure types would be handled here
-        
-        if (!mesh) {
-            return null;
+            physicsBodies.push(physicsBody);
         }
         
         return {
-            mesh: mesh,
-            physicsBody: physicsBody
+            mesh: meshes[0],
+            physicsBody: physicsBodies[0],
+            meshes,
+            physicsBodies
         };
     }
     
+    /**
+     * Build a ramp as a sloped slab filling the structure's bounds, rising toward local +Z
+     * @param {Object} structureData - Ramp data (scale.y is the rise, scale.z the run)
+     * @returns {Array} - Box parts { position, size, rotation }
+     */
+    getRampParts(structureData) {
+        const { position, scale, rotation } = structureData;
+        const yaw = rotation ? rotation.y || 0 : 0;
+        const thickness = structureData.thickness || 0.2;
+        
+        const angle = Math.atan2(scale.y, scale.z);
+        const length = Math.sqrt(scale.y * scale.y + scale.z * scale.z);
+        
+        // Continue the slab under the base so bodies meet the slope rather than its bottom edge
+        const toe = Math.min(0.6 / Math.sin(angle), length);
+        
+        // Pitch first, then yaw
+        const partRotation = new Euler(-angle, yaw, 0, 'YXZ');
+        
+        // Walking surface runs corner to corner through the center - sink the slab below it
+        const surfaceNormal = new Vector3(0, 1, 0).applyEuler(partRotation);
+        const uphill = new Vector3(0, 0, 1).applyEuler(partRotation);
+        const center = new Vector3(position.x, position.y, position.z)
+            .addScaledVector(surfaceNormal, -thickness / 2)
+            .addScaledVector(uphill, -toe / 2);
+        
+        return [{
+            position: center,
+            size: new Vector3(scale.x, thickness, length + toe),
+            rotation: partRotation
+        }];
+    }
+    
+    /**
+     * Build a flight of solid steps filling the structure's bounds, rising toward local +Z
+     * @param {Object} structureData - Stairs data (scale.y is the rise, scale.z the run, steps optional)
+     * @returns {Array} - Box parts { position, size, rotation }
+     */
+    getStairParts(structureData) {
+        const { position, scale, rotation } = structureData;
+        const yaw = rotation ? rotation.y || 0 : 0;
+        
+        // Default to 25cm risers, comfortably under the player's step height
+        const steps = structureData.steps || Math.max(1, Math.round(scale.y / 0.25));
+        const rise = scale.y / steps;
+        const run = scale.z / steps;
+        
+        const partRotation = new Euler(0, yaw, 0);
+        const parts = [];
+        
+        for (let i = 0; i < steps; i++) {
+            const height = rise * (i + 1);
+            
+            // Offset from the structure center, before yaw
+            const offset = new Vector3(
+                0,
+                -scale.y / 2 + height / 2,
+                -scale.z / 2 + run * (i + 0.5)
+            ).applyEuler(partRotation);
+            
+            parts.push({
+                position: new Vector3(position.x, position.y, position.z).add(offset),
+                size: new Vector3(scale.x, height, run),
+                rotation: partRotation
+            });
+        }
+        
+        return parts;
+    }
+    
     clearMapObjects() {
         // Remove all map objects from scene
         for (const object of this.mapObjects) {
@@ -63,6 +63,9 @@ export class Skybox {
         const geometry = new BoxGeometry(1000, 1000, 1000);
         this.skyboxMesh = new Mesh(geometry, material);
         
+        // Skybox should never block weapon or interaction rays
+        this.skyboxMesh.userData.ignoreRaycast = true;
+        
         // Add to scene
         this.scene.add(this.skyboxMesh);
     }
@@ -104,6 +107,9 @@ export class Skybox {
         const geometry = new BoxGeometry(1000, 1000, 1000);
         this.skyboxMesh = new Mesh(geometry, material);
         
+        // Skybox should never block weapon or interaction rays
+        this.skyboxMesh.userData.ignoreRaycast = true;
+        
         // Add to scene
         this.scene.add(this.skyboxMesh);
     }
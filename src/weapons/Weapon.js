@@ -1,10 +1,13 @@
 // src/weapons/Weapon.js
-import { Vector3, Quaternion, Object3D, Raycaster } from 'three';
+import { Vector3, Quaternion, Object3D, Raycaster, MathUtils } from 'three';
 import { RaycastResult } from '../physics/RaycastResult.js';
+import { WeaponViewModel } from './WeaponViewModel.js';
 
 export class Weapon {
     constructor(options = {}) {
+        this.id = options.id || null; // Definition id in weapons.json
         this.name = options.name || 'Weapon';
+        this.slot = options.slot || 'primary'; // Inventory slot: primary, secondary or melee
         this.model = null;
         this.worldModel = null;
         this.owner = null;
@@ -17,13 +20,57 @@ export class Weapon {
         // Create holder for weapon model
         this.weaponHolder = new Object3D();
         
+        // Viewmodel should never block our own shots
+        this.weaponHolder.userData.ignoreRaycast = true;
+        
+        // Sway, bob and reload motion for the viewmodel
+        this.viewModel = new WeaponViewModel(this);
+        
+        // Muzzle - a node in the model with this name, or else an offset in viewmodel space
+        this.muzzleSocket = options.muzzleSocket || 'muzzle';
+        this.muzzleOffset = options.muzzleOffset || new Vector3(0, 0.05, -0.6);
+        this.muzzleNode = null;
+        
         // Shooting properties
         this.damage = options.damage || 10;
+        this.range = options.range || 200; // Max hitscan distance
         this.fireRate = options.fireRate || 10; // Shots per second
         this.fireInterval = 1 / this.fireRate;
+        this.spread = options.spread || 0; // Cone half-angle in degrees when standing still
+        this.pellets = options.pellets || 1; // Rays per shot, each dealing full damage - shotguns use several
+        this.noiseLoudness = options.noiseLoudness || 40; // Radius zombies can hear a shot from
         this.lastFireTime = 0;
         this.isFiring = false;
         
+        // Fire mode - 'auto' fires while held, 'semi' once per click, 'burst' burstCount rounds per click
+        this.fireMode = options.fireMode || 'auto';
+        this.burstCount = options.burstCount || 3;
+        this.burstDelay = options.burstDelay !== undefined ? options.burstDelay : 0.3; // Extra pause after a burst
+        this.queuedShots = 0; // Shots left from the current click or burst
+        this.burstReadyTime = 0;
+        
+        // Spread added by movement, in degrees
+        this.moveSpread = options.moveSpread !== undefined ? options.moveSpread : 2; // At walking speed
+        this.sprintSpread = options.sprintSpread !== undefined ? options.sprintSpread : 4;
+        this.airSpread = options.airSpread !== undefined ? options.airSpread : 5;
+        this.crouchSpreadMultiplier = options.crouchSpreadMultiplier || 0.7;
+        
+        // Recoil - each shot kicks the view by the next step of the pattern, in degrees ({ x: right, y: up })
+        this.recoilPattern = options.recoilPattern || [{ x: 0, y: 1 }];
+        this.recoilRecovery = options.recoilRecovery !== undefined ? options.recoilRecovery : 10; // Degrees per second
+        this.recoilResetTime = options.recoilResetTime || 0.3; // Pause before the pattern starts over
+        this.recoilShot = 0;
+        this.recoilOffset = { x: 0, y: 0 }; // Kick not yet recovered
+        
+        // Aim down sights
+        this.adsPosition = options.adsPosition || new Vector3(0, -0.15, -0.4);
+        this.adsTime = options.adsTime !== undefined ? options.adsTime : 0.2; // seconds
+        this.adsFOVMultiplier = options.adsFOVMultiplier || 0.75;
+        this.adsSpreadMultiplier = options.adsSpreadMultiplier !== undefined ? options.adsSpreadMultiplier : 0.3;
+        this.adsRecoilMultiplier = options.adsRecoilMultiplier !== undefined ? options.adsRecoilMultiplier : 0.6;
+        this.isAiming = false;
+        this.adsAmount = 0; // 0 at the hip, 1 fully aimed
+        
         // Ammo
         this.currentAmmo = options.ammoCapacity || 30;
         this.maxAmmo = options.ammoCapacity || 30;
@@ -31,6 +78,16 @@ export class Weapon {
         this.isReloading = false;
         this.reloadTime = options.reloadTime || 2.0; // seconds
         this.reloadStartTime = 0;
+        
+        // Switching - the weapon can't fire until it's fully drawn
+        this.equipTime = options.equipTime !== undefined ? options.equipTime : 0.5; // seconds
+        this.holsterTime = options.holsterTime !== undefined ? options.holsterTime : 0.3; // seconds
+        this.holsterDrop = 0.4; // How far the viewmodel drops when holstered
+        this.holsterAmount = 0;
+        
+        // Audio ids by event, e.g. { fire, reload, empty }
+        this.sounds = options.sounds || {};
+        this.reloadSound = null; // Handle, so a cancelled reload goes quiet
     }
     
     init(engine) {
@@ -52,6 +109,10 @@ export class Weapon {
         
         // Add to weapon holder
         this.weaponHolder.add(this.model);
+        this.muzzleNode = this.model.getObjectByName(this.muzzleSocket) || null;
+        
+        // Play any animation clips the model ships with
+        this.viewModel.setModel(this.model, model.animations || []);
         
         return true;
     }
@@ -65,12 +126,8 @@ export class Weapon {
             this.engine.camera.camera.add(this.weaponHolder);
             
             // Position the weapon holder
-            this.weaponHolder.position.copy(this.position);
-            this.weaponHolder.rotation.set(
-                this.rotation.x,
-                this.rotation.y,
-                this.rotation.z
-            );
+            this.viewModel.reset();
+            this.placeViewmodel();
         }
         
         // Update UI
@@ -79,6 +136,13 @@ export class Weapon {
     
     unequip() {
         this.isEquipped = false;
+        this.isFiring = false;
+        this.queuedShots = 0;
+        this.isAiming = false;
+        this.adsAmount = 0;
+        this.recoilOffset.x = 0;
+        this.recoilOffset.y = 0;
+        this.viewModel.reset();
         
         // Remove from camera
         if (this.engine.camera && this.weaponHolder) {
@@ -88,10 +152,73 @@ export class Weapon {
         this.owner = null;
     }
     
+    /**
+     * Lower the viewmodel while switching weapons
+     * @param {number} amount - 0 when drawn, 1 when fully holstered
+     */
+    setHolsterAmount(amount) {
+        this.holsterAmount = amount;
+        this.placeViewmodel();
+    }
+    
+    /**
+     * Raise or lower the sights
+     * @param {boolean} aiming - True to aim down sights
+     */
+    setAiming(aiming) {
+        this.isAiming = aiming;
+    }
+    
+    /**
+     * Ease in or out of aiming and recover from recoil - runs during weapon switches too
+     * @param {number} deltaTime - Time since last update
+     */
+    updateView(deltaTime) {
+        const step = this.adsTime > 0 ? deltaTime / this.adsTime : 1;
+        const target = this.isAiming ? 1 : 0;
+        this.adsAmount += Math.max(-step, Math.min(step, target - this.adsAmount));
+        
+        this.recoverRecoil(deltaTime);
+        this.viewModel.update(deltaTime);
+        this.placeViewmodel();
+    }
+    
+    /**
+     * Position the viewmodel between hip and sights, lowered by any holstering, plus procedural motion
+     */
+    placeViewmodel() {
+        const holder = this.weaponHolder;
+        const rotationOffset = this.viewModel.rotationOffset;
+        
+        holder.position.lerpVectors(this.position, this.adsPosition, this.adsAmount);
+        holder.position.y -= this.holsterAmount * this.holsterDrop;
+        holder.position.add(this.viewModel.positionOffset);
+        
+        holder.rotation.set(
+            this.rotation.x + rotationOffset.x,
+            this.rotation.y + rotationOffset.y,
+            this.rotation.z + rotationOffset.z
+        );
+    }
+    
+    /**
+     * Pull the trigger
+     */
     startFire() {
+        if (this.isFiring) return;
         this.isFiring = true;
+        
+        // Semi and burst queue their shots per click - a burst always finishes once started
+        if (this.fireMode === 'semi') {
+            this.queuedShots = 1;
+        } else if (this.fireMode === 'burst' && this.queuedShots === 0) {
+            this.queuedShots = this.burstCount;
+        }
     }
     
+    /**
+     * Release the trigger
+     */
     stopFire() {
         this.isFiring = false;
     }
@@ -99,8 +226,8 @@ export class Weapon {
     update(deltaTime) {
         if (!this.isEquipped) return;
         
-        // Handle automatic firing
-        if (this.isFiring) {
+        // Automatic weapons fire while held, others work through their queued shots
+        if (this.fireMode === 'auto' ? this.isFiring : this.queuedShots > 0) {
             this.tryFire();
         }
         
@@ -117,28 +244,49 @@ export class Weapon {
         const currentTime = performance.now() / 1000;
         
         // Check if we can fire based on rate of fire
-        if (currentTime - this.lastFireTime < this.fireInterval) {
+        if (currentTime - this.lastFireTime < this.fireInterval || currentTime < this.burstReadyTime) {
             return false;
         }
         
-        // Check if we're reloading
+        // Check if we're reloading - a click during a reload is dropped
         if (this.isReloading) {
+            this.queuedShots = 0;
             return false;
         }
         
         // Check if we have ammo
         if (this.currentAmmo <= 0) {
-            this.tryReload();
+            this.queuedShots = 0;
+            
+            // Nothing left to reload - click at the fire rate
+            if (!this.tryReload()) {
+                this.playSound('empty');
+                this.lastFireTime = currentTime;
+            }
             return false;
         }
         
         // Fire the weapon
         this.fire();
+        this.applyRecoil(currentTime);
         this.lastFireTime = currentTime;
         
+        if (this.queuedShots > 0) {
+            this.queuedShots--;
+            
+            // Pause before the next burst can start
+            if (this.fireMode === 'burst' && this.queuedShots === 0) {
+                this.burstReadyTime = currentTime + this.burstDelay;
+            }
+        }
+        
         return true;
     }
     
+    /**
+     * Fire one round - every pellet goes through the same hitscan and damage path
+     * @returns {Array} - RaycastResult for each pellet
+     */
     fire() {
         // Reduce ammo
         this.currentAmmo--;
@@ -146,25 +294,240 @@ export class Weapon {
         // Update UI
         this.updateAmmoUI();
         
-        // Create a raycast from camera center
+        // Kick the viewmodel
+        this.viewModel.onFire();
+        
+        // Gunfire draws zombies in
+        this.emitNoise(this.noiseLoudness, 'gunfire');
+        this.playSound('fire');
+        
+        // Create raycasts from camera center
         const camera = this.engine.camera.camera;
-        const raycaster = new Raycaster();
-        const rayDirection = new Vector3(0, 0, -1).applyQuaternion(camera.quaternion);
+        const spread = this.getCurrentSpread();
+        const results = [];
+        
+        // Flash and tracers start at the muzzle
+        const effects = this.engine.effects;
+        const muzzle = effects ? this.getMuzzleWorldPosition(new Vector3()) : null;
+        if (effects) {
+            effects.muzzleFlash(this, muzzle);
+        }
         
-        // Origin is camera position
-        raycaster.set(camera.position, rayDirection);
+        for (let i = 0; i < this.pellets; i++) {
+            const rayDirection = this.getShotDirection(camera.quaternion, spread);
+            
+            // Resolve what the pellet hit and apply damage
+            const result = this.castRay(camera.position, rayDirection);
+            
+            if (result.hit) {
+                this.applyHit(result);
+            }
+            
+            if (effects) {
+                effects.bulletPath(muzzle, result, camera.position, rayDirection, this.range);
+            }
+            
+            results.push(result);
+        }
+        
+        return results;
+    }
+    
+    /**
+     * Find the muzzle in viewmodel space
+     * @param {Vector3} target - Vector to write into
+     * @returns {Vector3} - Muzzle position relative to the weapon holder
+     */
+    getMuzzleLocalPosition(target) {
+        if (!this.muzzleNode) {
+            return target.copy(this.muzzleOffset);
+        }
+        
+        this.weaponHolder.updateWorldMatrix(true, true);
+        this.muzzleNode.getWorldPosition(target);
+        return this.weaponHolder.worldToLocal(target);
+    }
+    
+    /**
+     * Find the muzzle in world space
+     * @param {Vector3} target - Vector to write into
+     * @returns {Vector3} - Muzzle position
+     */
+    getMuzzleWorldPosition(target) {
+        this.getMuzzleLocalPosition(target);
+        this.weaponHolder.updateWorldMatrix(true, false);
+        return this.weaponHolder.localToWorld(target);
+    }
+    
+    /**
+     * Work out the spread cone for the owner's movement and aim
+     * @returns {number} - Cone half-angle in degrees
+     */
+    getCurrentSpread() {
+        let spread = this.spread;
+        const player = this.owner;
+        
+        if (player && player.movement) {
+            const movement = player.movement;
+            const speed = Math.sqrt(player.velocity.x * player.velocity.x + player.velocity.z * player.velocity.z);
+            
+            spread += this.moveSpread * Math.min(speed / movement.walkSpeed, 1);
+            
+            if (player.isSprinting && speed > movement.walkSpeed) {
+                spread += this.sprintSpread;
+            }
+            
+            if (!player.onGround) {
+                spread += this.airSpread;
+            }
+            
+            if (movement.isCrouching && !movement.isSliding) {
+                spread *= this.crouchSpreadMultiplier;
+            }
+        }
+        
+        return spread * MathUtils.lerp(1, this.adsSpreadMultiplier, this.adsAmount);
+    }
+    
+    /**
+     * Pick a random direction inside a spread cone
+     * @param {Quaternion} aim - Camera orientation
+     * @param {number} spread - Cone half-angle in degrees
+     * @returns {Vector3} - Normalized shot direction
+     */
+    getShotDirection(aim, spread) {
+        const direction = new Vector3(0, 0, -1);
+        
+        if (spread > 0) {
+            // Uniform point on a disc, scaled to the cone's radius one unit ahead
+            const angle = Math.random() * Math.PI * 2;
+            const radius = Math.sqrt(Math.random()) * Math.tan(spread * MathUtils.DEG2RAD);
+            direction.x = Math.cos(angle) * radius;
+            direction.y = Math.sin(angle) * radius;
+            direction.normalize();
+        }
+        
+        return direction.applyQuaternion(aim);
+    }
+    
+    /**
+     * Kick the owner's view by the next step of the recoil pattern
+     * @param {number} currentTime - Time of the shot in seconds
+     */
+    applyRecoil(currentTime) {
+        const player = this.owner;
+        if (!player || this.recoilPattern.length === 0) return;
+        
+        // Start the pattern over after a pause in firing
+        if (currentTime - this.lastFireTime > this.recoilResetTime) {
+            this.recoilShot = 0;
+        }
+        
+        const kick = this.recoilPattern[Math.min(this.recoilShot, this.recoilPattern.length - 1)];
+        this.recoilShot++;
+        
+        const scale = MathUtils.lerp(1, this.adsRecoilMultiplier, this.adsAmount);
+        const x = (kick.x || 0) * scale;
+        const y = (kick.y || 0) * scale;
+        
+        this.recoilOffset.x += x;
+        this.recoilOffset.y += y;
+        player.applyLook(x * MathUtils.DEG2RAD, -y * MathUtils.DEG2RAD);
+    }
+    
+    /**
+     * Ease the view back toward where it was aimed before the kick
+     * @param {number} deltaTime - Time since last update
+     */
+    recoverRecoil(deltaTime) {
+        const player = this.owner;
+        const offset = this.recoilOffset;
+        if (!player || this.recoilRecovery <= 0) return;
+        
+        // Hold the kick while shots keep coming
+        if (performance.now() / 1000 - this.lastFireTime < this.fireInterval) return;
+        
+        const length = Math.sqrt(offset.x * offset.x + offset.y * offset.y);
+        if (length === 0) return;
+        
+        const amount = Math.min(1, this.recoilRecovery * deltaTime / length);
+        const x = offset.x * amount;
+        const y = offset.y * amount;
+        
+        offset.x -= x;
+        offset.y -= y;
+        player.applyLook(-x * MathUtils.DEG2RAD, y * MathUtils.DEG2RAD);
+    }
+    
+    /**
+     * Cast a hitscan ray against the scene
+     * @param {Vector3} origin - Ray origin in world space
+     * @param {Vector3} direction - Normalized ray direction
+     * @returns {RaycastResult} - Closest valid hit, if any
+     */
+    castRay(origin, direction) {
+        const raycaster = new Raycaster(origin, direction, 0, this.range);
+        
+        // Sprites (muzzle flashes, blood) need the camera to raycast at all
+        raycaster.camera = this.engine.camera.camera;
+        
+        // Leave out whole ignored subtrees like the effect pools rather than testing every piece
+        const targets = this.engine.renderer.scene.children.filter(child => !child.userData.ignoreRaycast);
         
         // Perform raycast against scene objects
-        const intersects = raycaster.intersectObjects(this.engine.renderer.scene.children, true);
+        const intersects = raycaster.intersectObjects(targets, true);
         
-        if (intersects.length > 0) {
-            const hit = intersects[0];
+        for (const intersection of intersects) {
+            // Skip viewmodel, skybox and other non-blocking objects
+            if (this.isIgnoredObject(intersection.object)) continue;
             
-            // Handle hit effects here if needed
-            console.log(`Hit object at distance ${hit.distance}`);
+            // Map the hit mesh back to its owning entity
+            const entity = this.engine.entityManager.getEntityByObject(intersection.object);
             
-            // Check if we hit an entity with health
-            // This would be expanded in your game with proper damage handling
+            // Shots pass through corpses and pooled zombies waiting to respawn
+            if (entity && (entity.isAlive === false || entity.enabled === false)) continue;
+            
+            // Convert face normal to world space
+            const normal = intersection.face ?
+                intersection.face.normal.clone().transformDirection(intersection.object.matrixWorld) :
+                direction.clone().negate();
+            
+            return new RaycastResult({
+                hit: true,
+                distance: intersection.distance,
+                point: intersection.point,
+                normal: normal,
+                object: intersection.object,
+                entity: entity
+            });
+        }
+        
+        return new RaycastResult();
+    }
+    
+    /**
+     * Check whether an object (or any of its parents) is excluded from hitscan
+     * @param {Object3D} object - Object that was intersected
+     * @returns {boolean} - True if the object should be ignored
+     */
+    isIgnoredObject(object) {
+        let current = object;
+        while (current) {
+            if (current.userData.ignoreRaycast) return true;
+            current = current.parent;
+        }
+        return false;
+    }
+    
+    /**
+     * Apply weapon damage to whatever a hitscan ray hit
+     * @param {RaycastResult} result - Hit to apply
+     */
+    applyHit(result) {
+        const entity = result.entity;
+        
+        if (entity && typeof entity.takeDamage === 'function') {
+            entity.takeDamage(this.damage, result);
         }
     }
     
@@ -179,15 +542,61 @@ export class Weapon {
         if (this.reserveAmmo <= 0) return false;
         
         // Start reloading
+        this.queuedShots = 0;
         this.isReloading = true;
         this.reloadStartTime = performance.now() / 1000;
         
         // Update UI to show reloading
         this.updateAmmoUI();
+        this.viewModel.onReload();
+        
+        // Reloading is quiet, but close zombies will notice
+        this.emitNoise(this.noiseLoudness * 0.2, 'reload');
+        this.reloadSound = this.playSound('reload');
         
         return true;
     }
     
+    /**
+     * Emit a noise from the weapon owner's position
+     * @param {number} loudness - Hearing radius in meters
+     * @param {string} source - Noise source name
+     */
+    emitNoise(loudness, source) {
+        const player = this.engine.player;
+        if (!player || !this.engine.noise) return;
+        
+        this.engine.noise.emit(player.position, loudness, source);
+    }
+    
+    /**
+     * Play one of the weapon's sounds from the player's viewpoint
+     * @param {string} event - Sound event, e.g. 'fire'
+     * @returns {number|null} - Audio handle
+     */
+    playSound(event) {
+        const soundId = this.sounds[event];
+        if (!soundId || !this.engine.audio || !this.engine.camera) return null;
+        
+        return this.engine.audio.play(soundId, this.engine.camera.camera.position);
+    }
+    
+    /**
+     * Abandon a reload in progress, e.g. when switching away
+     */
+    cancelReload() {
+        if (!this.isReloading) return;
+        
+        this.isReloading = false;
+        this.viewModel.onReloadCancelled();
+        
+        if (this.engine.audio) {
+            this.engine.audio.stop(this.reloadSound);
+        }
+        this.reloadSound = null;
+        this.updateAmmoUI();
+    }
+    
     completeReload() {
         // Calculate how much ammo to add
         const ammoNeeded = this.maxAmmo - this.currentAmmo;
@@ -204,21 +613,34 @@ export class Weapon {
         this.updateAmmoUI();
     }
     
-    async drop() {
-        if (!this.isEquipped) return;
+    /**
+     * Drop the weapon into the world as a pickup
+     * @param {Vector3} position - Where to drop it, defaults to just in front of the player
+     */
+    async drop(position = null) {
+        // Stops the reload sound and animation too
+        this.cancelReload();
+        
+        // Unequip first - holstered weapons can be dropped too when swapping
+        if (this.isEquipped) {
+            this.unequip();
+        }
         
-        // Unequip first
-        this.unequip();
+        this.isFiring = false;
         
-        // Create weapon pickup entity at player position
-        const player = this.engine.player;
-        const pickupPosition = player.position.clone();
+        let pickupPosition = position ? position.clone() : null;
         
-        // Offset slightly forward from player
-        const forward = new Vector3(0, 0, -1).applyQuaternion(
-            this.engine.camera.camera.quaternion
-        );
-        pickupPosition.add(forward.multiplyScalar(1.5));
+        if (!pickupPosition) {
+            // Create weapon pickup entity at player position
+            const player = this.engine.player;
+            pickupPosition = player.position.clone();
+            
+            // Offset slightly forward from player
+            const forward = new Vector3(0, 0, -1).applyQuaternion(
+                this.engine.camera.camera.quaternion
+            );
+            pickupPosition.add(forward.multiplyScalar(1.5));
+        }
         
         // Create a weapon pickup
         const WeaponPickup = (await import('./WeaponPickup.js')).WeaponPickup;
@@ -0,0 +1,121 @@
+// src/weapons/WeaponFactory.js
+import { Vector3 } from 'three';
+import { Weapon } from './Weapon.js';
+import { WeaponPickup } from './WeaponPickup.js';
+
+/**
+ * Builds weapons from the definitions file (assets/data/weapons.json) loaded by the AssetManager.
+ *
+ * Maps reference a weapon id and may override any field:
+ *   "weapons": [
+ *       { "type": "m249", "position": { "x": 2, "y": 1, "z": 1 }, "properties": { "reserveAmmo": 400 } }
+ *   ]
+ */
+export class WeaponFactory {
+    constructor(engine) {
+        this.engine = engine;
+    }
+    
+    /**
+     * Merge a weapon's definition with map overrides
+     * @param {string} id - Weapon id
+     * @param {Object} overrides - Fields replacing the definition's
+     * @returns {Object} - Combined stats
+     */
+    getStats(id, overrides = {}) {
+        const definition = this.engine.assetManager.getWeaponDefinition(id);
+        
+        if (!definition) {
+            console.warn(`No weapon definition for '${id}', using map properties only`);
+        }
+        
+        const base = definition || {};
+        const stats = { ...base, ...overrides };
+        
+        // Merge nested fields so an override can change a single value
+        stats.viewPosition = { ...base.viewPosition, ...overrides.viewPosition };
+        stats.adsPosition = { ...base.adsPosition, ...overrides.adsPosition };
+        stats.muzzleOffset = { ...base.muzzleOffset, ...overrides.muzzleOffset };
+        stats.sounds = { ...base.sounds, ...overrides.sounds };
+        
+        return stats;
+    }
+    
+    /**
+     * Create a weapon ready to equip
+     * @param {string} id - Weapon id
+     * @param {Object} overrides - Fields replacing the definition's
+     * @returns {Weapon} - New weapon
+     */
+    create(id, overrides = {}) {
+        const stats = this.getStats(id, overrides);
+        
+        const weapon = new Weapon({
+            ...stats,
+            id,
+            name: stats.name || id,
+            position: this.toVector(stats.viewPosition, new Vector3(0.3, -0.3, -0.5)),
+            adsPosition: this.toVector(stats.adsPosition, new Vector3(0, -0.15, -0.4)),
+            muzzleOffset: this.toVector(stats.muzzleOffset, new Vector3(0, 0.05, -0.6)),
+            sounds: this.resolveSounds(id, stats.sounds)
+        });
+        
+        weapon.init(this.engine);
+        
+        // Load the weapon model
+        const modelId = stats.model || id;
+        if (this.engine.assetManager.getModel(modelId)) {
+            weapon.loadModel(modelId);
+        } else {
+            console.error(`Model for weapon type '${modelId}' not found`);
+        }
+        
+        return weapon;
+    }
+    
+    /**
+     * Declare a weapon's inline sounds and map each event to a sound id
+     * @param {string} id - Weapon id
+     * @param {Object} sounds - Sound id or declaration by event, e.g. { fire, reload, empty }
+     * @returns {Object} - Sound id by event
+     */
+    resolveSounds(id, sounds) {
+        const resolved = {};
+        
+        for (const [event, sound] of Object.entries(sounds)) {
+            const soundId = this.engine.audio.resolveSound(sound, `${id}_${event}`);
+            if (soundId) {
+                resolved[event] = soundId;
+            }
+        }
+        
+        return resolved;
+    }
+    
+    /**
+     * Build a vector from JSON, filling missing components from a default
+     * @param {Object} data - Partial { x, y, z }
+     * @param {Vector3} fallback - Default vector, written into and returned
+     * @returns {Vector3} - Resulting vector
+     */
+    toVector(data, fallback) {
+        if (data.x !== undefined) fallback.x = data.x;
+        if (data.y !== undefined) fallback.y = data.y;
+        if (data.z !== undefined) fallback.z = data.z;
+        return fallback;
+    }
+    
+    /**
+     * Create a weapon lying in the world
+     * @param {string} id - Weapon id
+     * @param {Object} position - Position { x, y, z }
+     * @param {Object} overrides - Fields replacing the definition's
+     * @returns {WeaponPickup} - Pickup holding the new weapon
+     */
+    createPickup(id, position = {}, overrides = {}) {
+        return new WeaponPickup({
+            position: new Vector3(position.x || 0, position.y || 0, position.z || 0),
+            weapon: this.create(id, overrides)
+        });
+    }
+}
\ No newline at end of file
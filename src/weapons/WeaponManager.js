@@ -1,91 +1,317 @@
 // src/player/WeaponManager.js
+
+/**
+ * Inventory slots, in number-key order
+ */
+export const WeaponSlots = ['primary', 'secondary', 'melee'];
+
 export class WeaponManager {
     constructor(player) {
         this.player = player;
         this.engine = player.engine;
         
         this.currentWeapon = null;
-        this.weapons = [];
+        
+        // One weapon per slot
+        this.slots = {};
+        for (const slot of WeaponSlots) {
+            this.slots[slot] = null;
+        }
+        
+        // Most weapons carried at once - picking up another swaps out the held one
+        this.maxWeapons = this.engine.config.maxWeapons || WeaponSlots.length;
+        
+        // Switching - the held weapon is holstered, then the pending one is equipped
+        this.switchState = null; // null, 'holstering' or 'equipping'
+        this.switchTimer = 0;
+        this.pendingWeapon = null;
         
         // Setup input bindings
         this.setupInputBindings();
     }
     
+    /**
+     * Carried weapons in slot order
+     * @returns {Array} - Weapons
+     */
+    get weapons() {
+        return WeaponSlots.map(slot => this.slots[slot]).filter(weapon => weapon);
+    }
+    
+    /**
+     * Whether a weapon switch is in progress (firing is blocked)
+     * @returns {boolean}
+     */
+    get isSwitching() {
+        return this.switchState !== null;
+    }
+    
     setupInputBindings() {
         const input = this.engine.input;
         
         // Fire weapon
-        input.onMouseDown('MouseLeft', () => {
-            if (this.currentWeapon) {
+        input.onActionDown('fire', () => {
+            if (this.currentWeapon && !this.isSwitching) {
                 this.currentWeapon.startFire();
             }
         });
         
-        input.onMouseUp('MouseLeft', () => {
+        input.onActionUp('fire', () => {
             if (this.currentWeapon) {
                 this.currentWeapon.stopFire();
             }
         });
         
-        // Reload weapon
-        input.onKeyDown('KeyR', () => {
+        // Aim down sights while held
+        input.onActionDown('aim', () => {
+            if (this.currentWeapon && !this.isSwitching) {
+                this.currentWeapon.setAiming(true);
+            }
+        });
+        
+        input.onActionUp('aim', () => {
             if (this.currentWeapon) {
+                this.currentWeapon.setAiming(false);
+            }
+        });
+        
+        // Reload weapon
+        input.onActionDown('reload', () => {
+            if (this.currentWeapon && !this.isSwitching) {
                 this.currentWeapon.tryReload();
             }
         });
         
         // Drop weapon
-        input.onKeyDown('KeyG', () => {
+        input.onActionDown('drop', () => {
             this.dropCurrentWeapon();
         });
+        
+        // Select a slot directly
+        WeaponSlots.forEach((slot, index) => {
+            input.onActionDown(`slot${index + 1}`, () => {
+                this.switchToSlot(slot);
+            });
+        });
+        
+        // Cycle through carried weapons
+        input.onActionDown('nextWeapon', () => {
+            this.cycleWeapon(1);
+        });
+        
+        input.onActionDown('previousWeapon', () => {
+            this.cycleWeapon(-1);
+        });
+    }
+    
+    /**
+     * Find the weapon that picking up a weapon would swap out
+     * @param {Weapon} weapon - Weapon being picked up
+     * @returns {Weapon|null} - Weapon that would be dropped, or null if there's room
+     */
+    getReplacedWeapon(weapon) {
+        const occupant = this.slots[weapon.slot];
+        if (occupant) return occupant;
+        
+        if (this.weapons.length >= this.maxWeapons) {
+            return this.currentWeapon;
+        }
+        
+        return null;
     }
     
-    addWeapon(weapon) {
-        this.weapons.push(weapon);
+    /**
+     * Put a weapon in its slot and switch to it, dropping whatever it replaces
+     * @param {Weapon} weapon - Weapon to add
+     * @param {Vector3} dropPosition - Where a replaced weapon lands, defaults to in front of the player
+     * @returns {Weapon|null} - The replaced weapon, if any
+     */
+    addWeapon(weapon, dropPosition = null) {
+        if (!WeaponSlots.includes(weapon.slot)) {
+            console.warn(`Unknown weapon slot '${weapon.slot}' for ${weapon.name}, using primary`);
+            weapon.slot = 'primary';
+        }
+        
+        const replaced = this.getReplacedWeapon(weapon);
+        if (replaced) {
+            this.removeWeapon(replaced, dropPosition);
+        }
+        
+        this.slots[weapon.slot] = weapon;
         weapon.init(this.engine);
         
-        // If it's our first weapon, equip it
-        if (this.weapons.length === 1 && !this.currentWeapon) {
-            this.equipWeapon(weapon);
+        this.switchToWeapon(weapon);
+        
+        return replaced;
+    }
+    
+    /**
+     * Take a weapon out of the inventory and drop it into the world
+     * @param {Weapon} weapon - Carried weapon
+     * @param {Vector3} dropPosition - Where it lands, defaults to in front of the player
+     */
+    removeWeapon(weapon, dropPosition = null) {
+        if (this.slots[weapon.slot] === weapon) {
+            this.slots[weapon.slot] = null;
+        }
+        
+        if (this.pendingWeapon === weapon) {
+            this.pendingWeapon = null;
         }
+        
+        if (this.currentWeapon === weapon) {
+            this.currentWeapon = null;
+            this.switchState = null;
+            this.pendingWeapon = null;
+        }
+        
+        weapon.setHolsterAmount(0);
+        weapon.drop(dropPosition);
     }
     
-    equipWeapon(weapon) {
-        // Unequip current weapon if any
-        if (this.currentWeapon) {
-            this.currentWeapon.unequip();
+    /**
+     * Switch to the weapon in a slot
+     * @param {string} slot - Slot name
+     */
+    switchToSlot(slot) {
+        const weapon = this.slots[slot];
+        if (weapon) {
+            this.switchToWeapon(weapon);
+        }
+    }
+    
+    /**
+     * Switch to the next or previous carried weapon
+     * @param {number} direction - 1 for next, -1 for previous
+     */
+    cycleWeapon(direction) {
+        const weapons = this.weapons;
+        if (weapons.length < 2) return;
+        
+        // Cycle from the weapon being switched to, so quick scrolling skips ahead
+        const from = this.pendingWeapon || this.currentWeapon;
+        const index = weapons.indexOf(from);
+        const next = (index + direction + weapons.length) % weapons.length;
+        
+        this.switchToWeapon(weapons[next]);
+    }
+    
+    /**
+     * Holster the held weapon and equip another
+     * @param {Weapon} weapon - Carried weapon to switch to
+     */
+    switchToWeapon(weapon) {
+        if (!weapon) return;
+        
+        if (this.switchState === 'holstering') {
+            // Already on the way down - just change what comes up next
+            this.pendingWeapon = weapon;
+            return;
+        }
+        
+        if (weapon === this.currentWeapon) return;
+        
+        if (!this.currentWeapon) {
+            this.beginEquip(weapon);
+            return;
+        }
+        
+        const current = this.currentWeapon;
+        current.stopFire();
+        current.setAiming(false);
+        current.cancelReload();
+        
+        // Start lowering from wherever a half-finished equip left the weapon
+        let lowered = 0;
+        if (this.switchState === 'equipping' && current.equipTime > 0) {
+            lowered = Math.max(0, 1 - this.switchTimer / current.equipTime);
+        }
+        
+        this.switchState = 'holstering';
+        this.switchTimer = lowered * current.holsterTime;
+        this.pendingWeapon = weapon;
+    }
+    
+    /**
+     * Bring a weapon up from holstered
+     * @param {Weapon} weapon - Weapon to equip
+     */
+    beginEquip(weapon) {
+        this.pendingWeapon = null;
+        
+        if (!weapon) {
+            this.switchState = null;
+            return;
         }
         
-        // Equip new weapon
         this.currentWeapon = weapon;
         weapon.equip(this.player);
+        weapon.setHolsterAmount(1);
+        
+        this.switchState = 'equipping';
+        this.switchTimer = 0;
     }
     
-    dropCurrentWeapon() {
-        if (!this.currentWeapon) return;
-        
-        // Create a copy of the reference
+    /**
+     * Advance a weapon switch
+     * @param {number} deltaTime - Time since last update
+     */
+    updateSwitch(deltaTime) {
         const weapon = this.currentWeapon;
+        this.switchTimer += deltaTime;
         
-        // Remove from weapons array
-        const index = this.weapons.indexOf(weapon);
-        if (index !== -1) {
-            this.weapons.splice(index, 1);
+        if (this.switchState === 'holstering') {
+            const progress = weapon.holsterTime > 0 ? this.switchTimer / weapon.holsterTime : 1;
+            weapon.setHolsterAmount(Math.min(progress, 1));
+            
+            if (progress >= 1) {
+                weapon.unequip();
+                weapon.setHolsterAmount(0);
+                this.currentWeapon = null;
+                this.beginEquip(this.pendingWeapon);
+            }
+        } else if (this.switchState === 'equipping') {
+            const progress = weapon.equipTime > 0 ? this.switchTimer / weapon.equipTime : 1;
+            weapon.setHolsterAmount(1 - Math.min(progress, 1));
+            
+            if (progress >= 1) {
+                this.switchState = null;
+                
+                if (this.engine.input.isActionDown('aim')) {
+                    weapon.setAiming(true);
+                }
+                
+                // Keep shooting if the trigger was held through the switch - single shots need a new click
+                if (weapon.fireMode === 'auto' && this.engine.input.isActionDown('fire')) {
+                    weapon.startFire();
+                }
+            }
         }
+    }
+    
+    dropCurrentWeapon() {
+        if (!this.currentWeapon || this.isSwitching) return;
         
-        // Drop the weapon
-        weapon.drop();
-        
-        // Clear current weapon
-        this.currentWeapon = null;
+        this.removeWeapon(this.currentWeapon);
         
         // Equip next weapon if available
-        if (this.weapons.length > 0) {
-            this.equipWeapon(this.weapons[0]);
+        const next = this.weapons[0];
+        if (next) {
+            this.switchToWeapon(next);
         }
     }
     
     update(deltaTime) {
+        // Aim and recoil recovery keep easing through switches
+        if (this.currentWeapon) {
+            this.currentWeapon.updateView(deltaTime);
+        }
+        
+        if (this.isSwitching) {
+            this.updateSwitch(deltaTime);
+            return;
+        }
+        
         // Update current weapon
         if (this.currentWeapon) {
             this.currentWeapon.update(deltaTime);
@@ -52,9 +52,9 @@ export class WeaponPickup {
     }
     
     interact(player) {
-        // Give the weapon to the player
+        // Give the weapon to the player - anything it replaces is left where this pickup was
         if (this.weapon) {
-            player.equipWeapon(this.weapon);
+            player.equipWeapon(this.weapon, this.physicsBody.position);
             
             // Remove pickup from world
             this.engine.entityManager.removeEntity(this);
@@ -0,0 +1,238 @@
+// src/weapons/WeaponViewModel.js
+import { Vector3, AnimationMixer, LoopOnce, MathUtils } from 'three';
+
+/**
+ * Procedural motion for a weapon's first-person model - look sway, walk bob, sprint pose,
+ * fire kick and a reload dip. Clips embedded in the glTF named 'fire' or 'reload' play
+ * instead of the procedural kick and dip.
+ */
+export class WeaponViewModel {
+    constructor(weapon) {
+        this.weapon = weapon;
+        
+        // Sway - the model trails behind the view as it turns
+        this.swayPositionAmount = 0.01; // Meters per radian/second of turning
+        this.swayRotationAmount = 0.03; // Radians per radian/second of turning
+        this.maxSwayPosition = 0.05;
+        this.maxSwayRotation = 0.12;
+        this.swaySpeed = 10.0; // How quickly sway settles
+        this.swayPosition = new Vector3();
+        this.swayRotation = new Vector3();
+        this.lastYaw = null;
+        this.lastPitch = 0;
+        
+        // Walk bob, following the camera's head bob phase
+        this.bobHorizontal = 0.015;
+        this.bobVertical = 0.01;
+        this.bobBlendSpeed = 6.0;
+        this.bobWeight = 0;
+        
+        // Sprint pose - lowered and turned inward
+        this.sprintPosition = new Vector3(0.06, -0.08, 0.05);
+        this.sprintRotation = new Vector3(-0.3, 0.6, 0.2);
+        this.sprintBlendSpeed = 6.0;
+        this.sprintAmount = 0;
+        
+        // Fire kick - pushed back and muzzle up, settling quickly
+        this.kickPosition = 0.04;
+        this.kickRotation = 0.06;
+        this.kickRecovery = 12.0;
+        this.kickAmount = 0;
+        
+        // Reload dip - lowered and tilted over the reload time
+        this.reloadDip = 0.25;
+        this.reloadTilt = 0.6;
+        this.reloadRoll = 0.3;
+        
+        // Embedded animation clips
+        this.mixer = null;
+        this.clips = [];
+        this.activeActions = new Map(); // Clip key -> AnimationAction
+        
+        // Result, added to the weapon's base pose
+        this.positionOffset = new Vector3();
+        this.rotationOffset = new Vector3();
+    }
+    
+    /**
+     * Use a loaded model and any animation clips it ships with
+     * @param {Object3D} model - First-person model
+     * @param {Array} clips - AnimationClips from the glTF
+     */
+    setModel(model, clips = []) {
+        this.clips = clips;
+        this.mixer = clips.length > 0 ? new AnimationMixer(model) : null;
+        this.activeActions.clear();
+    }
+    
+    /**
+     * Find an embedded clip whose name mentions a key
+     * @param {string} key - e.g. 'fire' or 'reload'
+     * @returns {AnimationClip|null} - Matching clip
+     */
+    findClip(key) {
+        return this.clips.find(clip => clip.name.toLowerCase().includes(key)) || null;
+    }
+    
+    /**
+     * Play an embedded clip once
+     * @param {string} key - Clip key
+     * @param {number} duration - Stretch the clip to this many seconds
+     * @returns {boolean} - True if a clip was found and started
+     */
+    playClip(key, duration = 0) {
+        const clip = this.mixer ? this.findClip(key) : null;
+        if (!clip) return false;
+        
+        const action = this.mixer.clipAction(clip);
+        action.reset();
+        action.setLoop(LoopOnce, 1);
+        action.clampWhenFinished = false;
+        action.timeScale = duration > 0 ? clip.duration / duration : 1;
+        action.play();
+        
+        this.activeActions.set(key, action);
+        return true;
+    }
+    
+    /**
+     * Stop an embedded clip early
+     * @param {string} key - Clip key
+     */
+    stopClip(key) {
+        const action = this.activeActions.get(key);
+        if (action) {
+            action.stop();
+            this.activeActions.delete(key);
+        }
+    }
+    
+    /**
+     * Check whether an embedded clip is still playing
+     * @param {string} key - Clip key
+     * @returns {boolean}
+     */
+    isClipPlaying(key) {
+        const action = this.activeActions.get(key);
+        return !!action && action.isRunning();
+    }
+    
+    onFire() {
+        if (!this.playClip('fire')) {
+            this.kickAmount = Math.min(this.kickAmount + 1, 2);
+        }
+    }
+    
+    onReload() {
+        this.playClip('reload', this.weapon.reloadTime);
+    }
+    
+    onReloadCancelled() {
+        this.stopClip('reload');
+    }
+    
+    /**
+     * Clear all motion, e.g. when the weapon is put away
+     */
+    reset() {
+        this.swayPosition.set(0, 0, 0);
+        this.swayRotation.set(0, 0, 0);
+        this.lastYaw = null;
+        this.bobWeight = 0;
+        this.sprintAmount = 0;
+        this.kickAmount = 0;
+        this.positionOffset.set(0, 0, 0);
+        this.rotationOffset.set(0, 0, 0);
+        
+        if (this.mixer) {
+            this.mixer.stopAllAction();
+        }
+        this.activeActions.clear();
+    }
+    
+    update(deltaTime) {
+        if (this.mixer) {
+            this.mixer.update(deltaTime);
+        }
+        
+        const weapon = this.weapon;
+        const player = weapon.owner;
+        if (!player || deltaTime <= 0) return;
+        
+        const movement = player.movement;
+        const speed = Math.sqrt(player.velocity.x * player.velocity.x + player.velocity.z * player.velocity.z);
+        
+        // Hold steadier in the sights
+        const steadiness = 1 - weapon.adsAmount * 0.8;
+        
+        this.updateSway(deltaTime, player.viewRotation, steadiness);
+        
+        // Walk bob
+        const targetBob = player.onGround && speed > 0.5 ? Math.min(speed / movement.walkSpeed, 1.5) : 0;
+        this.bobWeight = MathUtils.lerp(this.bobWeight, targetBob, Math.min(deltaTime * this.bobBlendSpeed, 1.0));
+        
+        const effects = weapon.engine.camera ? weapon.engine.camera.effects : null;
+        const phase = effects ? effects.bobPhase * Math.PI * 2 : 0;
+        const bob = this.bobWeight * steadiness;
+        
+        // Sprint pose
+        const isSprinting = player.isSprinting && speed > movement.walkSpeed && !weapon.isAiming;
+        const sprintStep = this.sprintBlendSpeed * deltaTime;
+        this.sprintAmount += Math.max(-sprintStep, Math.min(sprintStep, (isSprinting ? 1 : 0) - this.sprintAmount));
+        
+        // Fire kick
+        this.kickAmount *= Math.max(0, 1 - this.kickRecovery * deltaTime);
+        const kick = this.kickAmount * (1 - weapon.adsAmount * 0.5);
+        
+        // Reload dip, unless the model animates its own reload
+        let dip = 0;
+        if (weapon.isReloading && !this.isClipPlaying('reload') && weapon.reloadTime > 0) {
+            const progress = (performance.now() / 1000 - weapon.reloadStartTime) / weapon.reloadTime;
+            dip = Math.sin(Math.min(Math.max(progress, 0), 1) * Math.PI);
+        }
+        
+        this.positionOffset.copy(this.swayPosition)
+            .addScaledVector(this.sprintPosition, this.sprintAmount);
+        this.positionOffset.x += Math.sin(phase * 0.5) * this.bobHorizontal * bob;
+        this.positionOffset.y += Math.sin(phase) * this.bobVertical * bob - dip * this.reloadDip;
+        this.positionOffset.z += kick * this.kickPosition;
+        
+        this.rotationOffset.copy(this.swayRotation)
+            .addScaledVector(this.sprintRotation, this.sprintAmount);
+        this.rotationOffset.x += kick * this.kickRotation - dip * this.reloadTilt;
+        this.rotationOffset.z += dip * this.reloadRoll;
+    }
+    
+    /**
+     * Trail the model behind the view's turning speed
+     * @param {number} deltaTime - Time since last update
+     * @param {Euler} viewRotation - Player view rotation
+     * @param {number} steadiness - Sway scale
+     */
+    updateSway(deltaTime, viewRotation, steadiness) {
+        if (this.lastYaw === null) {
+            this.lastYaw = viewRotation.y;
+            this.lastPitch = viewRotation.x;
+        }
+        
+        const yawSpeed = (viewRotation.y - this.lastYaw) / deltaTime;
+        const pitchSpeed = (viewRotation.x - this.lastPitch) / deltaTime;
+        this.lastYaw = viewRotation.y;
+        this.lastPitch = viewRotation.x;
+        
+        const maxPosition = this.maxSwayPosition;
+        const maxRotation = this.maxSwayRotation;
+        const blend = Math.min(deltaTime * this.swaySpeed, 1.0);
+        
+        // Turning left leaves the model behind on the right, looking up leaves it low
+        this.swayPosition.x = MathUtils.lerp(this.swayPosition.x,
+            MathUtils.clamp(yawSpeed * this.swayPositionAmount, -maxPosition, maxPosition) * steadiness, blend);
+        this.swayPosition.y = MathUtils.lerp(this.swayPosition.y,
+            MathUtils.clamp(-pitchSpeed * this.swayPositionAmount, -maxPosition, maxPosition) * steadiness, blend);
+        
+        this.swayRotation.x = MathUtils.lerp(this.swayRotation.x,
+            MathUtils.clamp(-pitchSpeed * this.swayRotationAmount, -maxRotation, maxRotation) * steadiness, blend);
+        this.swayRotation.y = MathUtils.lerp(this.swayRotation.y,
+            MathUtils.clamp(-yawSpeed * this.swayRotationAmount, -maxRotation, maxRotation) * steadiness, blend);
+    }
+}
\ No newline at end of file